@@ -27,6 +27,7 @@ class Automaton {
     a.alphabet.symbols.forEach(s => {
       a.deltaMap.set(s, new Map())
     })
+    a.deltaMap.set(Edge.EPSILON, new Map())
     a.acceptsMemo = memo(Automaton.prototype.accepts)
     a.acceptsMemoMap = memoMap(Automaton.prototype.accepts)
   }
@@ -115,7 +116,8 @@ class Automaton {
      * add an edge
      * @param {State|string} from - the state where the edge starts
      * @param {State|string} to - the state where the edge ends
-     * @param {string} symbol - the symbol the edge carries
+     * @param {string} symbol - the symbol the edge carries or {@link Edge.EPSILON}
+     * for an epsilon edge
      * @returns {Edge} the corresponding edge. When the edge already exists the
      * existing edge is returned. Otherwise a new edge will be created and returned.
      */
@@ -189,15 +191,22 @@ class Automaton {
   }
 
   /**
-     * the transition function delta
+     * the transition function delta. Epsilon edges are taken into account:
+     * the result contains all states reachable from the epsilon closure of the
+     * state by one transition with the given symbol(s) followed by any number
+     * of epsilon transitions.
      * @param {State} state - a state
-     * @param {string} [symbol] - a symbol. Defaults to all symbols when undefined
+     * @param {string} [symbol] - a symbol. Defaults to all symbols when undefined.
+     * For {@link Edge.EPSILON} the epsilon closure of the state is returned.
      * @returns {Set} a set of all states reachable from state by one transitions
      * with the given symbol(s)
      */
 
   delta (state, symbol) {
     const a = this
+    if (symbol === Edge.EPSILON) {
+      return a.epsilonClosure(new Set([state]))
+    }
     let symbols
     if (symbol === undefined) {
       symbols = a.alphabet.symbols
@@ -205,20 +214,72 @@ class Automaton {
       symbols = [symbol]
     }
 
+    const closure = a.epsilonClosure(new Set([state]))
     const d = new Set()
     for (const sym of symbols) {
-      if (a.deltaMap.has(sym)) {
-        if (a.deltaMap.get(sym).has(state)) {
-          a.deltaMap
-            .get(sym)
-            .get(state)
-            .forEach(s => d.add(s))
-        }
+      for (const s of a.step(closure, sym)) {
+        d.add(s)
+      }
+    }
+    return a.epsilonClosure(d)
+  }
+
+  /**
+     * the states reachable from the given states by exactly one edge labelled with
+     * the given symbol. Epsilon edges are not followed.
+     * @param {Set} states - a set of states
+     * @param {string} symbol - a symbol
+     * @returns {Set} the set of successor states
+     */
+
+  step (states, symbol) {
+    const d = new Set()
+    const deltaMapSymbol = this.deltaMap.get(symbol)
+    if (deltaMapSymbol === undefined) {
+      return d
+    }
+    for (const state of states) {
+      if (deltaMapSymbol.has(state)) {
+        deltaMapSymbol.get(state).forEach(s => d.add(s))
       }
     }
     return d
   }
 
+  /**
+     * the epsilon closure of a set of states
+     * @param {Set} states - a set of states
+     * @returns {Set} a new set containing the given states and all states reachable
+     * from them by epsilon edges only
+     */
+
+  epsilonClosure (states) {
+    const epsilonMap = this.deltaMap.get(Edge.EPSILON)
+    const closure = new Set(states)
+    const todo = [...states]
+    while (todo.length > 0) {
+      const state = todo.pop()
+      if (epsilonMap.has(state)) {
+        for (const s of epsilonMap.get(state)) {
+          if (!closure.has(s)) {
+            closure.add(s)
+            todo.push(s)
+          }
+        }
+      }
+    }
+    return closure
+  }
+
+  /**
+     * checks whether the automaton has epsilon edges
+     * @returns {boolean} true if there is at least one epsilon edge, false otherwise
+     */
+
+  hasEpsilonTransitions () {
+    return [...this.deltaMap.get(Edge.EPSILON).values()].some(s => s.size > 0)
+  }
+
   /**
      * get all start states
      * @returns {Set} a set of start states
@@ -244,7 +305,7 @@ class Automaton {
 
   isDeterministic () {
     const a = this
-    if (a.getStartStates().size !== 1) {
+    if (a.getStartStates().size !== 1 || a.hasEpsilonTransitions()) {
       return false
     }
     for (const deltaMapSymbol of a.deltaMap.values()) {
@@ -265,7 +326,8 @@ class Automaton {
   }
 
   /**
-     * the iterated transition function
+     * the iterated transition function. Epsilon edges may be used before, between
+     * and after reading the symbols of the word.
      * @param {Set} currentStates - a set of states
      * @param {string} word - an input word
      * @returns {Set} the set of all states which are reached from the given states by
@@ -283,17 +345,13 @@ class Automaton {
             }
             */
 
+    currentStates = a.epsilonClosure(currentStates)
     for (const symbol of [...word]) {
-      const nextStates = new Set()
-      for (const from of currentStates) {
-        for (const to of a.delta(from, symbol)) {
-          nextStates.add(to)
-        }
-      }
+      const nextStates = a.step(currentStates, symbol)
       if (nextStates.size === 0) {
         return nextStates // empty set
       }
-      currentStates = nextStates
+      currentStates = a.epsilonClosure(nextStates)
     }
     return currentStates
   }
@@ -533,7 +591,7 @@ class Automaton {
     const dfa = new Automaton(nfa.name + '-dfa', nfa.alphabet.symbols.join(''))
     dfa.inLanguage = nfa.inLanguage
 
-    const startStateSet = nfa.getStartStates()
+    const startStateSet = nfa.epsilonClosure(nfa.getStartStates())
     const startState = dfa.addState(
       startStateSet.name(),
       true,
@@ -576,7 +634,7 @@ class Automaton {
 
   union (a2) {
     const a1 = this
-    const u = new Automaton('union of ' + a1.name + ' and ' + a2.name)
+    const u = new Automaton('union of ' + a1.name + ' and ' + a2.name, alphabetUnion(a1, a2))
 
     u.inLanguage = function (w) {
       return a1.inLanguage(w) || a2.inLanguage(w)
@@ -680,6 +738,32 @@ class Automaton {
     return ar
   }
 
+  /**
+     * construct an equivalent automaton without epsilon edges. The states are kept.
+     * A state becomes final if a final state is in its epsilon closure and
+     * for every symbol an edge is added to every state that can be reached by
+     * epsilon edges, the symbol and epsilon edges again.
+     * @returns {Automaton} a new automaton without epsilon edges that is equivalent
+     * to the given automaton
+     */
+
+  removeEpsilonTransitions () {
+    const a = this
+    const aResult = new Automaton('epsilon-free ' + a.name, a.alphabet.symbols.join(''))
+    aResult.inLanguage = a.inLanguage
+
+    a.states.forEach(s => {
+      const closure = a.epsilonClosure(new Set([s]))
+      aResult.addState(s.name, s.start, [...closure].some(c => c.final), s.tag)
+    })
+    a.states.forEach(s => {
+      a.alphabet.symbols.forEach(sym => {
+        a.delta(s, sym).forEach(t => aResult.addEdge(s.name, t.name, sym))
+      })
+    })
+    return aResult
+  }
+
   /**
      * construct the concatenation of the given automaton and a second one
      * @param {Automaton} a2 - a second automaton
@@ -690,13 +774,17 @@ class Automaton {
   concat (a2) {
     const a1 = this
 
+    if (a1 === a2) {
+      // the states of both operands need different names
+      a2 = a1.copy()
+    }
     if (a1.name === a2.name) {
       // TODO untersuchen, ob namen vermieden werden können
       a1.name += '1'
       a2.name += '2'
     }
 
-    let ac = new Automaton('concatenation of ' + a1.name + ' and ' + a2.name)
+    let ac = new Automaton('concatenation of ' + a1.name + ' and ' + a2.name, alphabetUnion(a1, a2))
 
     ac.inLanguage = function (w) {
       for (let i = 0; i <= w.length; i++) {
@@ -729,7 +817,7 @@ class Automaton {
       ac = ac.union(a1)
     }
     if (a1.acceptsEmptyWord() && a2.acceptsEmptyWord()) {
-      const ew = new Automaton('empty word')
+      const ew = new Automaton('empty word', ac.alphabet.symbols.join(''))
       ew.addState('1', true, true)
       ac = ac.union(ew)
     }
@@ -743,7 +831,7 @@ class Automaton {
      */
 
   acceptsEmptyWord () {
-    return [...this.getStartStates()].reduce((accepts, state) => accepts || state.final, false)
+    return [...this.epsilonClosure(this.getStartStates())].reduce((accepts, state) => accepts || state.final, false)
     /*
         for (let state of [...this.getStartStates()]) {
             if (state.final)
@@ -1238,6 +1326,51 @@ class Automaton {
     return this.minimize().signatureDFS() === a2.minimize().signatureDFS()
   }
 
+  /**
+     * determine a shortest word that is accepted by exactly one of the given automaton
+     * and a second automaton. The product of the two automata is explored by a breadth
+     * first search on the sets of reachable states, so nondeterministic automata
+     * and epsilon edges are allowed. Among the shortest words the first one in
+     * lexicographical order (with respect to the order of the alphabet symbols) is returned.
+     * @param {Automaton} a2 - the second automaton
+     * @returns {Object} undefined if the two automata are equivalent. Otherwise an object
+     * with the distinguishing word and two booleans that tell which automaton
+     * accepts the word: { word, acceptedByFirst, acceptedBySecond }
+     */
+
+  distinguishingWord (a2) {
+    const a1 = this
+    const symbols = [...new Set([...a1.alphabet.symbols, ...a2.alphabet.symbols])]
+    const isFinal = states => [...states].some(s => s.final)
+    const key = (states1, states2) => states1.name() + '|' + states2.name()
+
+    const start = {
+      states1: a1.deltaStar(a1.getStartStates(), ''),
+      states2: a2.deltaStar(a2.getStartStates(), ''),
+      word: ''
+    }
+    const visited = new Set([key(start.states1, start.states2)])
+    const queue = [start]
+    while (queue.length > 0) {
+      const { states1, states2, word } = queue.shift()
+      const accepted1 = isFinal(states1)
+      const accepted2 = isFinal(states2)
+      if (accepted1 !== accepted2) {
+        return { word: word, acceptedByFirst: accepted1, acceptedBySecond: accepted2 }
+      }
+      for (const sym of symbols) {
+        const next1 = a1.deltaStar(states1, sym)
+        const next2 = a2.deltaStar(states2, sym)
+        const k = key(next1, next2)
+        if (!visited.has(k)) {
+          visited.add(k)
+          queue.push({ states1: next1, states2: next2, word: word + sym })
+        }
+      }
+    }
+    return undefined
+  }
+
   /**
      * construct the intersection of the given automaton and a second one
      * @param {Automaton} a2 - a second automaton
@@ -1247,7 +1380,7 @@ class Automaton {
 
   intersect (a2) {
     const a1 = this
-    const aResult = new Automaton('intersection of ' + a1.name + ' and ' + a2.name)
+    const aResult = new Automaton('intersection of ' + a1.name + ' and ' + a2.name, alphabetUnion(a1, a2))
 
     aResult.inLanguage = function (w) {
       return a1.inLanguage(w) && a2.inLanguage(w)
@@ -1262,9 +1395,21 @@ class Automaton {
         )
       }
     }
+    // an epsilon edge of one automaton is combined with every state of the other
+    for (const [aEps, aOther, first] of [[a1, a2, true], [a2, a1, false]]) {
+      for (const e of aEps.edges) {
+        if (e.isEpsilon()) {
+          for (const s of aOther.states) {
+            const from = first ? e.source.name + ',' + s.name : s.name + ',' + e.source.name
+            const to = first ? e.sink.name + ',' + s.name : s.name + ',' + e.sink.name
+            aResult.addEdge(from, to, Edge.EPSILON)
+          }
+        }
+      }
+    }
     for (const e1 of a1.edges) {
       for (const e2 of a2.edges) {
-        if (e1.symbol === e2.symbol) {
+        if (e1.symbol === e2.symbol && !e1.isEpsilon()) {
           aResult.addEdge(
             aResult.getStateByName(e1.source.name + ',' + e2.source.name),
             aResult.getStateByName(e1.sink.name + ',' + e2.sink.name),
@@ -1605,6 +1750,82 @@ class Automaton {
     })
     return edges
   }
+
+  /**
+     * set a layout for the automaton: the states are placed in columns according to
+     * their distance from the start states and unreachable states in a last column,
+     * edges are drawn as slightly bent lines. Afterwards the automaton can be converted
+     * with {@link Automaton#convertTikz}.
+     * @returns {Automaton} the automaton
+     */
+
+  layoutByDistance () {
+    const a = this
+    if (a.getStartStates().size === 0) {
+      throw new Error('layoutByDistance: no start states')
+    }
+    a.numberStatesDFS()
+    let count = Math.max(...[...a.states].filter(s => s.marked).map(s => s.number)) + 1
+    a.states.forEach(s => {
+      if (!s.marked) {
+        s.number = count++
+      }
+    })
+    const distance = new Map()
+    const columns = []
+    const todo = [...a.getStartStates()]
+    todo.forEach(s => distance.set(s, 0))
+    while (todo.length > 0) {
+      const s = todo.shift()
+      const d = distance.get(s)
+      columns[d] = (columns[d] || []).concat(s)
+      ;[...s.edgesOut].forEach(e => {
+        if (!distance.has(e.sink)) {
+          distance.set(e.sink, d + 1)
+          todo.push(e.sink)
+        }
+      })
+    }
+    const unreachable = [...a.states].filter(s => !distance.has(s))
+    if (unreachable.length > 0) {
+      columns.push(unreachable)
+    }
+    const coordinatesStates = []
+    columns.forEach((column, x) => column.forEach((s, y) => {
+      coordinatesStates[s.number] = new Vector(150 * x + 50, 150 * y + 50)
+    }))
+    const coordinatesEdges = []
+    a.labelledEdgesAsMap().forEach((toMap, from) => toMap.forEach((symbols, to) => {
+      const p1 = coordinatesStates[from.number]
+      const p2 = coordinatesStates[to.number]
+      let cp1, cp2
+      if (from === to) {
+        cp1 = p1.add(new Vector(-40, -90))
+        cp2 = p1.add(new Vector(40, -90))
+      } else {
+        const d = p2.subtract(p1)
+        const normal = new Vector(-d.y, d.x).scale(10 / d.length())
+        cp1 = p1.add(d.scale(1 / 3)).add(normal)
+        cp2 = p1.add(d.scale(2 / 3)).add(normal)
+      }
+      coordinatesEdges.push({ source: from.number, sink: to.number, cp1: cp1, cp2: cp2 })
+    }))
+    a.setLayout({ coordinatesStates: coordinatesStates, coordinatesEdges: coordinatesEdges })
+    // numbering the states marks them
+    a.states.forEach(s => { s.marked = false })
+    return a
+  }
+}
+
+/**
+ * the symbols of the alphabets of two automata
+ * @param {Automaton} a1 - an automaton
+ * @param {Automaton} a2 - a second automaton
+ * @returns {string} the symbols of the first alphabet followed by the other symbols of the second one
+ */
+
+function alphabetUnion (a1, a2) {
+  return [...new Set(a1.alphabet.symbols.concat(a2.alphabet.symbols))].join('')
 }
 
 /**
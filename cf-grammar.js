@@ -1,5 +1,15 @@
 require('./extendSet')
 const Alphabet = require('./alphabet')
+const ParseTree = require('./parse-tree')
+const Automaton = require('./automaton')
+const Edge = require('./edge')
+
+// candidates for names of new variables, E is left out because it denotes the empty word
+const VARIABLE_NAMES = 'ABCDFGHIJKLMNOPQRSTUVWXYZΓΔΘΛΞΠΣΦΨΩБДЖЗИЙЛПФЦЧШЩЭЮЯ'
+const EPSILON = ParseTree.EPSILON
+// end marker of the input for LL(1) parsing
+const END = '$'
+const MAX_PARSE_STEPS = 1000
 
 /** Class representing an context-free grammar. */
 class ContextFreeGrammar {
@@ -26,6 +36,9 @@ class ContextFreeGrammar {
   addRule (variable, rightSide) {
     const g = this
     const v = g.addVariable(variable)
+    if (Array.isArray(rightSide)) {
+      rightSide = rightSide.join('')
+    }
     v.rules.push(rightSide)
   }
 
@@ -40,6 +53,89 @@ class ContextFreeGrammar {
     return this.variables.has(name)
   }
 
+  isTerminal (name) {
+    return this.terminals.symbols.includes(name)
+  }
+
+  /**
+     * split a right side into its symbols. Variables with names of several characters are
+     * written in angle brackets, e.g. <Expr>, all other symbols are single characters.
+     * If < is a terminal, it is always a single symbol.
+     * @param {string} rightSide - the right side of a rule
+     * @returns {Array} the symbols of the right side
+     */
+
+  symbols (rightSide) {
+    const chars = [...rightSide]
+    const result = []
+    const bracketVariables = !this.isTerminal('<')
+    for (let i = 0; i < chars.length; i++) {
+      const end = chars.indexOf('>', i)
+      if (chars[i] === '<' && bracketVariables && end > i + 1) {
+        result.push(chars.slice(i, end + 1).join(''))
+        i = end
+      } else {
+        result.push(chars[i])
+      }
+    }
+    return result
+  }
+
+  /**
+     * get the start variable
+     * @returns {string} the name of the start variable or undefined if there is none
+     */
+
+  getStartVariable () {
+    for (const [name, value] of this.variables) {
+      if (value.start) {
+        return name
+      }
+    }
+    return undefined
+  }
+
+  /**
+     * get a name for a new variable that is neither a variable nor a terminal of the grammar
+     * @returns {string} an unused variable name
+     */
+
+  newVariableName () {
+    const g = this
+    const used = new Set(g.terminals.symbols)
+    g.variables.forEach((value, key) => {
+      used.add(key)
+      value.rules.forEach(r => g.symbols(r).forEach(x => used.add(x)))
+    })
+    const name = [...VARIABLE_NAMES].find(n => !used.has(n))
+    if (name !== undefined) {
+      return name
+    }
+    if (g.isTerminal('<')) {
+      throw new Error('newVariableName: no more variable names available')
+    }
+    for (let i = 1; ; i++) {
+      if (!used.has(`<A${i}>`)) {
+        return `<A${i}>`
+      }
+    }
+  }
+
+  /**
+     * create a copy of the context-free grammar
+     * @returns {ContextFreeGrammar} a new context-free grammar with the same variables and rules
+     */
+
+  copy () {
+    const g = this
+    const gc = new ContextFreeGrammar(g.terminals.symbols.join(''))
+    g.variables.forEach((value, key) => {
+      gc.addVariable(key, value.start)
+      value.rules.forEach(r => gc.addRule(key, r))
+    })
+    return gc
+  }
+
   static isEmptyRuleText (text) {
     return ContextFreeGrammar.removeWhitespaceAndComments(text) === ''
   }
@@ -48,51 +144,68 @@ class ContextFreeGrammar {
     return text.replace(/\s+/g, '').replace(/#.*$/, '')
   }
 
+  /**
+     * check the syntax of rules (see {@link ContextFreeGrammar.parse})
+     * @param {string} text - one or more lines with rules
+     * @returns {boolean} true if the rules are well-formed, false otherwise
+     */
+
   static checkRuleText (text) {
-    // TODO use Unicode property escapes
-    const textWithoutWhitespace = ContextFreeGrammar.removeWhitespaceAndComments(text)
-    if (textWithoutWhitespace.length === 0) {
-      return true
+    return ContextFreeGrammar.ruleTextError(text) === null
+  }
+
+  /**
+     * find the first syntax error in rules (see {@link ContextFreeGrammar.parse})
+     * @param {string} text - one or more lines with rules
+     * @returns {string|null} the error message with line and column or null if the rules are well-formed
+     */
+
+  static ruleTextError (text) {
+    try {
+      parseRuleLines(text)
+      return null
+    } catch (e) {
+      return e.message
     }
-    const ruleRegExp = /^[A-Z]-?>[a-zA-Z|]+$/
-    return ruleRegExp.test(textWithoutWhitespace)
   }
 
-  static parse (text) {
-    // TODO use Unicode property escapes
-    const reLowerCase = /[a-z]/
-    const reUpperCase = /[A-Z]/
-    let result
-    result = [...text].filter(c => c.match(reLowerCase))
-    if (result.length === 0) {
-      throw new Error('there are no terminals')
-    }
-    // make unique
-    const terminals = (Array.from(new Set(result))).sort()
-
-    // TODO use Unicode property escapes
-    result = [...text].filter(c => c.match(reUpperCase))
-    if (result.length === 0) {
-      throw new Error('there are no variables')
-    }
-    const variables = (Array.from(new Set(result)))
-    const g = new ContextFreeGrammar(terminals.join(''))
+  /**
+     * parse a grammar. Each line contains a rule like S -> aSb | ε, a line starting with |
+     * continues the rules of the previous line and # starts a comment. Variables are
+     * uppercase letters (including e.g. Greek ones) or names in angle brackets or double quotes like <Expr> or "Expr",
+     * which are both stored as <Expr>. Terminals are lowercase letters, digits or single
+     * characters in single quotes like '+'. The empty word is written as ε, as E if E is not
+     * a variable with rules, or as an empty alternative. The start variable is S if it occurs,
+     * otherwise the variable of the first rule.
+     * @param {string} text - the rules of the grammar
+     * @returns {ContextFreeGrammar} a new context-free grammar
+     * @throws {Error} an error with line and column, e.g. line 2, column 7: unexpected character (
+     */
 
-    if (variables.includes('S')) {
-      g.addVariable('S', true)
-    } else {
-      g.addVariable(variables[0], true)
+  static parse (text) {
+    const rules = parseRuleLines(text)
+    if (rules.length === 0) {
+      throw new Error('there are no rules')
+    }
+    const leftSides = new Set(rules.map(rule => rule.variable.value))
+    // E denotes the empty word if it is not a variable with rules
+    const isEmpty = token => token.type === 'epsilon' || (token.value === 'E' && token.type === 'variable' && !leftSides.has('E'))
+    const tokens = rules.flatMap(rule => [rule.variable].concat(...rule.alternatives))
+    const terminals = [...new Set(tokens.filter(t => t.type === 'terminal').map(t => t.value))].sort()
+    const variables = tokens.filter(t => t.type === 'variable' && !isEmpty(t))
+    const bracketVariable = variables.find(t => t.value.length > 1)
+    if (terminals.includes('<') && bracketVariable !== undefined) {
+      throw new Error(`line ${bracketVariable.line}, column ${bracketVariable.column}: ` +
+        `the terminal '<' can't be used together with variables like ${bracketVariable.value}`)
     }
-    const rules = text.split(/\n/).filter(r => !ContextFreeGrammar.isEmptyRuleText(r))
-    rules.forEach(r => {
-      if (!ContextFreeGrammar.checkRuleText(r)) {
-        throw new Error(`error in rule ${r}`)
-      } else {
-        const part = ContextFreeGrammar.removeWhitespaceAndComments(r).replace(/\s+/g, '').split(/-?>/)
-        g.addRules(part[0], part[1])
-      }
-    })
 
+    const g = new ContextFreeGrammar(terminals.join(''))
+    g.addVariable(variables.some(t => t.value === 'S') ? 'S' : rules[0].variable.value, true)
+    rules.forEach(rule => {
+      rule.alternatives.forEach(alternative => {
+        addUniqueRule(g, rule.variable.value, alternative.filter(t => !isEmpty(t)).map(t => t.value))
+      })
+    })
     return g
   }
 
@@ -117,7 +230,7 @@ class ContextFreeGrammar {
     const g = this
     let s = '\\[\n\\begin{array}{lll}\n'
     g.variables.forEach((value, key) => {
-      s += `${key} &\\to&` + value.rules.join('\\,|\\,') + '\\\\\n'
+      s += `${latexSymbol(key)} &\\to&` + value.rules.map(r => r === '' ? '\\varepsilon' : latexSymbol(r)).join('\\,|\\,') + '\\\\\n'
     })
     return s + '\\end{array}\n\\]'
   }
@@ -126,21 +239,28 @@ class ContextFreeGrammar {
     const g = this
     let cnf = true
     let offRule = ''
+    // the start variable may derive the empty word if it doesn't occur on a right side
+    const start = g.getStartVariable()
+    const startOnRightSide = occursOnRightSide(g, start)
     // TODO shortcut if false
     g.variables.forEach((value, key) => {
       value.rules.forEach(v => {
-        if (v.length === 0 || v.length > 2) {
+        const symbols = g.symbols(v)
+        if (symbols.length === 0 && key === start && !startOnRightSide) {
+          return
+        }
+        if (symbols.length === 0 || symbols.length > 2) {
           cnf = false
           offRule = `wrong length:  ${key}->${v}`
         }
-        if (v.length === 1) {
+        if (symbols.length === 1) {
           if (!g.terminals.symbols.includes(v)) {
             cnf = false
             offRule = `${v} is not a terminal in: ${key}->${v}`
           }
         }
-        if (v.length === 2) {
-          if (!g.isVariable(v[0]) || !g.isVariable(v[1])) {
+        if (symbols.length === 2) {
+          if (!g.isVariable(symbols[0]) || !g.isVariable(symbols[1])) {
             cnf = false
             offRule = `variable not derivable in: ${key}->${v}`
           }
@@ -150,82 +270,2565 @@ class ContextFreeGrammar {
     return { isCNF: cnf, offendingRule: offRule }
   }
 
-  cyk (word) {
-    const g = this
+  /**
+     * convert the grammar to Chomsky normal form. The textbook steps are applied:
+     * a new start variable is added, rules with the empty word and unit rules are
+     * eliminated, useless variables are removed, terminals in long rules are replaced
+     * by new variables and long rules are split into rules with two variables.
+     * @param {Array} [steps] - if given, an object { description, grammar } is appended for
+     * each intermediate grammar
+     * @returns {ContextFreeGrammar} a new equivalent grammar in Chomsky normal form
+     */
 
-    function reverse () {
-      const rr = new Map()
-      g.variables.forEach((value, key) => {
-        value.rules.forEach(v => {
-          if (!rr.has(v)) {
-            rr.set(v, new Set())
+  toCNF (steps) {
+    const transformations = [
+      ['add new start variable', addStartVariable],
+      ['eliminate rules with the empty word', eliminateEmptyRules],
+      ['eliminate unit rules', eliminateUnitRules],
+      ['remove useless variables', removeUselessVariables],
+      ['replace terminals in long rules', liftTerminals],
+      ['split long rules', binarize]
+    ]
+    let g = this
+    for (const [description, transform] of transformations) {
+      g = transform(g)
+      if (steps !== undefined) {
+        steps.push({ description: description, grammar: g })
+      }
+    }
+    return g
+  }
+
+  /**
+     * checks whether the grammar is in Greibach normal form. The start variable may
+     * have a rule with the empty word if it doesn't occur on a right side.
+     * @returns {Object} { isGNF, offendingRule } where offendingRule describes the first
+     * rule that violates the normal form
+     */
+
+  checkGNF () {
+    const g = this
+    const start = g.getStartVariable()
+    const startOnRightSide = occursOnRightSide(g, start)
+    for (const [key, value] of g.variables) {
+      for (const r of value.rules) {
+        const [first, ...rest] = g.symbols(r)
+        if (r === '') {
+          if (key !== start || startOnRightSide) {
+            return { isGNF: false, offendingRule: `empty word: ${ruleToString(key, r)}` }
           }
-          rr.set(v, rr.get(v).add(key))
-        })
-      })
-      return rr
+        } else if (!g.isTerminal(first)) {
+          return { isGNF: false, offendingRule: `${first} is not a terminal in: ${ruleToString(key, r)}` }
+        } else if (!rest.every(x => g.isVariable(x))) {
+          return { isGNF: false, offendingRule: `terminal after the first symbol in: ${ruleToString(key, r)}` }
+        }
+      }
     }
-    const reversedRules = reverse()
-    const v = []
-    v[0] = [...word].map(char => {
-      return reversedRules.has(char) ? reversedRules.get(char) : new Set()
+    return { isGNF: true, offendingRule: '' }
+  }
+
+  /**
+     * convert the grammar to Greibach normal form, i.e. every rule consists of a terminal
+     * followed by variables. The grammar is converted to Chomsky normal form, left
+     * recursion is eliminated without new rules with the empty word, and leading variables
+     * are substituted by their rules. After each step variables with the same rules are
+     * merged and useless variables are removed, otherwise the substitutions multiply the
+     * copies of the same rules.
+     * @param {Array} [steps] - if given, an object { description, grammar } is appended for
+     * each intermediate grammar
+     * @returns {ContextFreeGrammar} a new equivalent grammar in Greibach normal form
+     */
+
+  toGNF (steps) {
+    const transformations = [
+      ['convert to Chomsky normal form', g => g.toCNF()],
+      ['eliminate left recursion', g => eliminateLeftRecursion(g, [], false)],
+      ['substitute leading variables', substituteLeadingVariables]
+    ]
+    let g = this
+    for (const [description, transform] of transformations) {
+      g = removeUselessVariables(mergeVariablesWithEqualRules(transform(g)))
+      if (steps !== undefined) {
+        steps.push({ description: description, grammar: g })
+      }
+    }
+    return g
+  }
+
+  /**
+     * remove all variables except the start variable that derive no word and all rules
+     * that contain such a variable
+     * @returns {Object} { grammar, log } with a new equivalent grammar and an array of
+     * explanations of the changes
+     */
+
+  removeNonGeneratingVariables () {
+    const log = []
+    return { grammar: removeNonGeneratingVariables(this, log), log: log }
+  }
+
+  /**
+     * remove all variables that are not reachable from the start variable
+     * @returns {Object} { grammar, log } with a new equivalent grammar and an array of
+     * explanations of the changes
+     */
+
+  removeUnreachableVariables () {
+    const log = []
+    return { grammar: removeUnreachableVariables(this, log), log: log }
+  }
+
+  /**
+     * eliminate all rules with the empty word as right side. If the start variable is
+     * nullable it keeps a rule with the empty word. If it also occurs on a right side,
+     * a new start variable is added first.
+     * @returns {Object} { grammar, log } with a new equivalent grammar and an array of
+     * explanations of the changes
+     */
+
+  eliminateEmptyRules () {
+    const log = []
+    let g = this
+    const start = g.getStartVariable()
+    if (g.nullableVariables().has(start) && occursOnRightSide(g, start)) {
+      g = addStartVariable(g, log)
+    }
+    return { grammar: eliminateEmptyRules(g, log), log: log }
+  }
+
+  /**
+     * eliminate all rules whose right side is a single variable
+     * @returns {Object} { grammar, log } with a new equivalent grammar and an array of
+     * explanations of the changes
+     */
+
+  eliminateUnitRules () {
+    const log = []
+    return { grammar: eliminateUnitRules(this, log), log: log }
+  }
+
+  /**
+     * eliminate direct and indirect left recursion. Rules with the empty word and unit
+     * rules are eliminated first if the grammar has nullable variables besides the start
+     * variable or cycles of unit rules.
+     * @returns {Object} { grammar, log } with a new equivalent grammar without left recursion
+     * and an array of explanations of the changes
+     */
+
+  eliminateLeftRecursion () {
+    const log = []
+    let g = this
+    const start = g.getStartVariable()
+    const nullable = g.nullableVariables()
+    if ([...nullable].some(v => v !== start || occursOnRightSide(g, v))) {
+      log.push('the grammar has rules with the empty word, they are eliminated first')
+      g = g.eliminateEmptyRules().grammar
+    }
+    const unitRules = new Map()
+    g.variables.forEach((value, key) => unitRules.set(key, value.rules.filter(r => g.isVariable(r))))
+    const hasUnitCycle = [...unitRules.keys()].some(v => {
+      const reachable = new Set()
+      const todo = [v]
+      while (todo.length > 0) {
+        unitRules.get(todo.pop()).filter(w => !reachable.has(w)).forEach(w => {
+          reachable.add(w)
+          todo.push(w)
+        })
+      }
+      return reachable.has(v)
     })
-    // v[1].unshift(0)
-    const n = word.length
-    for (let k = 1; k < n; k++) {
-      v[k] = []
-      for (let i = 0; i < n - k; i++) {
-        v[k][i] = new Set()
-        for (let m = 0; m < k; m++) {
-          v[m][i].forEach(v1 => {
-            v[k - m - 1][i + m + 1].forEach(v2 => {
-              if (reversedRules.has(v1 + v2)) {
-                v[k][i] = v[k][i].union(reversedRules.get(v1 + v2))
-              }
-            })
-          })
+    if (hasUnitCycle) {
+      log.push('the grammar has cycles of unit rules, unit rules are eliminated first')
+      g = eliminateUnitRules(g)
+    }
+    return { grammar: eliminateLeftRecursion(g, log), log: log }
+  }
+
+  /**
+     * search for a word with two different parse trees among all words up to the
+     * given length. Since ambiguity is undecidable, a negative result only holds for
+     * the words that were checked. Derivations with cycles are not considered
+     * (see {@link ContextFreeGrammar#parseTrees}).
+     * @param {number} maxLength - the maximal length of the words to be checked
+     * @returns {Object} { isAmbiguous, word, trees } where word is the shortest ambiguous word
+     * and trees are two different parse trees for it. word and trees are undefined if no
+     * ambiguous word was found.
+     */
+
+  checkAmbiguity (maxLength) {
+    const g = this
+    for (let length = 0; length <= maxLength; length++) {
+      const words = g.terminals.genWords(length)
+      let w
+      while ((w = words.next().value) !== undefined) {
+        const trees = g.parseTrees(w, 2)
+        if (trees.length === 2) {
+          return { isAmbiguous: true, word: w, trees: trees }
         }
       }
     }
-    return v
+    return { isAmbiguous: false, word: undefined, trees: undefined }
   }
 
-  cykResultToString (v) {
-    let s = ''
-    v.forEach(row => {
-      row.forEach(col => {
-        s += Array.from(col).sort().join(',')
-        s += '; '
+  /**
+     * checks whether the grammar is right-linear, i.e. every rule has the form A->wB or A->w
+     * where w is a word of terminals
+     * @returns {boolean} true if the grammar is right-linear, false otherwise
+     */
+
+  isRightLinear () {
+    return linearRules(this, true) !== undefined
+  }
+
+  /**
+     * checks whether the grammar is left-linear, i.e. every rule has the form A->Bw or A->w
+     * where w is a word of terminals
+     * @returns {boolean} true if the grammar is left-linear, false otherwise
+     */
+
+  isLeftLinear () {
+    return linearRules(this, false) !== undefined
+  }
+
+  /**
+     * checks whether the grammar is regular, i.e. right-linear or left-linear
+     * @returns {boolean} true if the grammar is regular, false otherwise
+     */
+
+  isRegular () {
+    return this.isRightLinear() || this.isLeftLinear()
+  }
+
+  /**
+     * construct a nondeterministic automaton that accepts the language of a right- or
+     * left-linear grammar. For a right-linear grammar the states are the variables and a
+     * new final state, a rule A->wB leads from A to B by a path labelled with w. Unit rules
+     * become epsilon edges. A left-linear grammar is converted for the reversed language
+     * and the automaton is reversed.
+     * @returns {Automaton} a new automaton that accepts the language of the grammar
+     */
+
+  toAutomaton () {
+    const g = this
+    let rules = linearRules(g, true)
+    const right = rules !== undefined
+    if (!right) {
+      rules = linearRules(g, false)
+      if (rules === undefined) {
+        throw new Error('toAutomaton: the grammar is neither right-linear nor left-linear')
+      }
+      rules.forEach(rule => rule.word.reverse())
+    }
+    const a = new Automaton('automaton of grammar', g.terminals.symbols)
+    const start = g.getStartVariable()
+    const freshName = base => {
+      let name = base
+      for (let i = 1; g.isVariable(name) || a.getStateByName(name) !== undefined; i++) {
+        name = base + i
+      }
+      return name
+    }
+    g.variables.forEach((value, key) => a.addState(key, key === start))
+    const final = a.addState(freshName('F'), false, true)
+    rules.forEach(rule => {
+      const next = rule.next === undefined ? final : a.addState(rule.next)
+      if (rule.word.length === 0) {
+        if (next === final) {
+          a.getState(rule.variable).makeFinal()
+        } else {
+          a.addEdge(rule.variable, next, Edge.EPSILON)
+        }
+        return
+      }
+      let from = a.getState(rule.variable)
+      rule.word.forEach((x, i) => {
+        const to = i === rule.word.length - 1 ? next : a.addState(freshName(rule.variable))
+        a.addEdge(from, to, x)
+        from = to
       })
-      s += '\n'
     })
-    return s
+    if (right) {
+      return a
+    }
+    const reversed = a.reverse()
+    reversed.name = 'automaton of grammar'
+    return reversed
   }
 
-  cykResultToTikz (word, v) {
-    let s = '\\begin{tikzpicture}[->, >=stealth, node distance = 2.2cm, minimum width=2.2cm, minimum height=1cm, auto]\n'
-            ;[...word].forEach((char, i) => {
-      const right = (i === 0 ? '' : `[right of=${i - 1}]`)
-      s += `\\node[] (${i}) ${right} {$${char}$};\n`
+  /**
+     * construct a right-linear grammar that generates the language accepted by an automaton.
+     * Every state becomes a variable, an edge from p to q with symbol a becomes a rule P->aQ,
+     * an epsilon edge a rule P->Q and a final state Q gets the rule Q->ε. A single start state
+     * becomes the start variable S, for several start states a new start variable is added.
+     * The name of the corresponding state is stored in the property state of each variable.
+     * @param {Automaton} a - an automaton
+     * @returns {ContextFreeGrammar} a new right-linear grammar
+     */
+
+  static fromAutomaton (a) {
+    const g = new ContextFreeGrammar(a.alphabet.symbols.join(''))
+    const starts = [...a.getStartStates()]
+    const names = new Map()
+    if (starts.length === 1) {
+      names.set(starts[0], 'S')
+      g.addVariable('S', true).state = starts[0].name
+    } else {
+      g.addVariable('S', true)
+    }
+    const name = s => {
+      if (!names.has(s)) {
+        names.set(s, g.newVariableName())
+        g.addVariable(names.get(s)).state = s.name
+      }
+      return names.get(s)
+    }
+    if (starts.length !== 1) {
+      starts.forEach(s => g.addRule('S', name(s)))
+    }
+    // the states in breadth-first order from the start states
+    const todo = starts.slice()
+    const visited = new Set(todo)
+    while (todo.length > 0) {
+      const s = todo.shift()
+      const variable = name(s)
+      ;[...s.edgesOut].sort(Edge.compareBySymbol).forEach(e => {
+        const rule = e.isEpsilon() ? [name(e.sink)] : [e.symbol, name(e.sink)]
+        addUniqueRule(g, variable, rule)
+        if (!visited.has(e.sink)) {
+          visited.add(e.sink)
+          todo.push(e.sink)
+        }
+      })
+      if (s.final) {
+        addUniqueRule(g, variable, '')
+      }
+    }
+    return g
+  }
+
+  /**
+     * construct a grammar for the intersection of the language of the grammar and the
+     * language of an automaton (construction of Bar-Hillel, Perles and Shamir). The grammar
+     * is converted to Chomsky normal form and the automaton to an automaton without
+     * epsilon edges. A variable [p,A,q] derives the words derivable from A that lead
+     * from state p to state q. Only variables that derive a word and are reachable from
+     * the start variable are kept. The corresponding triple is stored in the property
+     * triple of each variable.
+     * @param {Automaton} a - an automaton
+     * @returns {ContextFreeGrammar} a new grammar for the intersection
+     */
+
+  intersect (a) {
+    const cnf = this.toCNF()
+    const b = a.removeEpsilonTransitions()
+    const triple = (p, v, q) => `[${p.name},${v},${q.name}]`
+
+    // generating[v] maps each state p to the set of states q such that [p,v,q] derives a word
+    const generating = new Map()
+    const add = (p, v, q) => {
+      if (!generating.has(v)) {
+        generating.set(v, new Map())
+      }
+      if (!generating.get(v).has(p)) {
+        generating.get(v).set(p, new Set())
+      }
+      const sinks = generating.get(v).get(p)
+      if (sinks.has(q)) {
+        return false
+      }
+      sinks.add(q)
+      return true
+    }
+    const sinks = (p, v) => generating.has(v) && generating.get(v).has(p) ? generating.get(v).get(p) : new Set()
+    b.edges.forEach(e => {
+      cnf.variables.forEach((value, key) => {
+        if (value.rules.includes(e.symbol)) {
+          add(e.source, key, e.sink)
+        }
+      })
     })
-    let offset = word.length
-    let previousOffset = 0
-    v.forEach(row => {
-      row.forEach((col, i) => {
-        let label
-        if (col.size === 0) {
-          label = '{$\\emptyset$}'
-        } else {
-          label = '{$' + [...col].sort().join(',') + '$}'
+    let changed = true
+    while (changed) {
+      changed = false
+      cnf.variables.forEach((value, key) => {
+        value.rules.filter(r => cnf.symbols(r).length === 2).forEach(r => {
+          const [left, right] = cnf.symbols(r)
+          b.states.forEach(p => {
+            sinks(p, left).forEach(s => {
+              sinks(s, right).forEach(q => {
+                changed = add(p, key, q) || changed
+              })
+            })
+          })
+        })
+      })
+    }
+
+    const g = new ContextFreeGrammar(this.terminals.symbols.join(''))
+    const start = cnf.getStartVariable()
+    g.addVariable('S', true).triple = 'start'
+    const names = new Map()
+    const todo = []
+    const name = (p, v, q) => {
+      const t = triple(p, v, q)
+      if (!names.has(t)) {
+        names.set(t, g.newVariableName())
+        g.addVariable(names.get(t)).triple = t
+        todo.push([p, v, q])
+      }
+      return names.get(t)
+    }
+    b.getStartStates().forEach(p => {
+      if (p.final && cnf.variables.get(start).rules.includes('')) {
+        addUniqueRule(g, 'S', '')
+      }
+      sinks(p, start).forEach(q => {
+        if (q.final) {
+          addUniqueRule(g, 'S', name(p, start, q))
         }
-        s += `\\node[draw](${i + offset}) [below=0cm of ${i + previousOffset}] ${label};\n`
       })
-      previousOffset = offset
-      offset += row.length
     })
-    s += '\\end{tikzpicture}'
-    return s
+    while (todo.length > 0) {
+      const [p, v, q] = todo.shift()
+      const variable = names.get(triple(p, v, q))
+      cnf.variables.get(v).rules.forEach(r => {
+        const symbols = cnf.symbols(r)
+        if (symbols.length === 1) {
+          if (b.step(new Set([p]), r).has(q)) {
+            addUniqueRule(g, variable, r)
+          }
+          return
+        }
+        if (symbols.length === 2) {
+          b.states.forEach(s => {
+            if (sinks(p, symbols[0]).has(s) && sinks(s, symbols[1]).has(q)) {
+              addUniqueRule(g, variable, [name(p, symbols[0], s), name(s, symbols[1], q)])
+            }
+          })
+        }
+      })
+    }
+    return g
   }
+
+  /**
+     * checks whether the grammar generates no word, i.e. whether the start variable
+     * derives no word
+     * @returns {boolean} true if the language of the grammar is empty, false otherwise
+     */
+
+  isEmpty () {
+    const g = removeNonGeneratingVariables(this)
+    return g.variables.get(g.getStartVariable()).rules.length === 0
+  }
+
+  /**
+     * checks whether the grammar generates finitely many words. In the Chomsky normal
+     * form without useless variables the language is infinite iff a variable derives
+     * a sentential form containing itself.
+     * @returns {boolean} true if the language of the grammar is finite, false otherwise
+     */
+
+  isFinite () {
+    const g = this.toCNF()
+    const successors = new Map()
+    g.variables.forEach((value, key) => {
+      successors.set(key, new Set(value.rules.flatMap(r => g.symbols(r).filter(x => g.isVariable(x)))))
+    })
+    // depth-first search for a cycle, visiting[v] is true while v is on the stack
+    const visiting = new Map()
+    const hasCycle = v => {
+      if (visiting.has(v)) {
+        return visiting.get(v)
+      }
+      visiting.set(v, true)
+      const result = [...successors.get(v)].some(hasCycle)
+      visiting.set(v, false)
+      return result
+    }
+    return ![...g.variables.keys()].some(hasCycle)
+  }
+
+  /**
+     * count the words of the given length generated by the grammar. The words are
+     * determined for the Chomsky normal form, so the effort grows with the number of words.
+     * @param {number} length - the length of the words
+     * @returns {number} the number of different words of the given length
+     */
+
+  countWords (length) {
+    const g = this.toCNF()
+    return wordsOfLength(g)(g.getStartVariable(), length).size
+  }
+
+  /**
+     * count the parse trees of a word in the parse forest (see {@link ContextFreeGrammar#parseForest}).
+     * As in {@link ContextFreeGrammar#parseTrees}, derivations where a variable derives the same
+     * subword inside itself are left out, so the result is the number of parse trees returned
+     * by parseTrees without a limit. The count can't be taken from the CYK table (see cykTreeCount)
+     * because the conversion to Chomsky normal form changes the number of derivations, e.g. it
+     * merges the rules S -> A | B, A -> a, B -> a into S -> a. The forest is the same dynamic
+     * program for the grammar itself, with one node for each variable and subword.
+     * @param {string} word - a word
+     * @returns {number} the number of parse trees (and leftmost derivations) of the word,
+     * 0 if the word is not generated by the grammar
+     */
+
+  countDerivations (word) {
+    const root = this.parseForest(word)
+    if (root === undefined) {
+      return 0
+    }
+    // counts without a cut cycle don't depend on the path and can be reused
+    const counts = new Map()
+    function count (nd, path) {
+      if (nd.alternatives === undefined) {
+        return { count: 1, cut: false }
+      }
+      if (counts.has(nd)) {
+        return { count: counts.get(nd), cut: false }
+      }
+      if (path.has(nd)) {
+        return { count: 0, cut: true }
+      }
+      const p = new Set(path).add(nd)
+      let total = 0
+      let cut = false
+      nd.alternatives.forEach(alt => {
+        total += alt.children.reduce((product, c) => {
+          const x = count(c, p)
+          cut = cut || x.cut
+          return product * x.count
+        }, 1)
+      })
+      if (!cut) {
+        counts.set(nd, total)
+      }
+      return { count: total, cut: cut }
+    }
+    return count(root, new Set()).count
+  }
+
+  /**
+     * a generator that returns the words generated by the grammar up to the given maximal
+     * length in shortlex order, i.e. ordered by length and lexicographically for equal length
+     * @param {number} maxLength - the maximal length of generated words
+     * @returns {string} the next generated word
+     */
+
+  * generatedWords (maxLength) {
+    const cnf = this.toCNF()
+    const words = wordsOfLength(cnf)
+    const order = new Map(this.terminals.symbols.map((t, i) => [t, i]))
+    const compare = (w1, w2) => {
+      const s1 = [...w1]
+      const s2 = [...w2]
+      const i = s1.findIndex((x, k) => x !== s2[k])
+      return i === -1 ? 0 : order.get(s1[i]) - order.get(s2[i])
+    }
+    for (let length = 0; length <= maxLength; length++) {
+      yield * [...words(cnf.getStartVariable(), length)].sort(compare)
+    }
+  }
+
+  /**
+     * choose a word of the given length uniformly at random among all words of this length
+     * generated by the grammar. In a grammar in Chomsky normal form, a parse tree is chosen
+     * uniformly by counting the parse trees for all variables and lengths. Its word is
+     * accepted with probability 1 divided by the number of parse trees of the word, so
+     * ambiguous words are not preferred.
+     * @param {number} length - the length of the word
+     * @returns {string} a random word or undefined if the grammar generates no word of the given length
+     */
+
+  randomWord (length) {
+    return randomWords(this)(length)
+  }
+
+  /**
+     * calculate the similarity of the grammar and a second one. Since the equivalence of
+     * context-free grammars is undecidable, only finitely many words are compared: all words
+     * over the terminals of both grammars up to a given length and random longer words. The random words are chosen alternately
+     * from the languages of both grammars (see {@link ContextFreeGrammar#randomWord}).
+     * @param {ContextFreeGrammar} g2 - the second grammar
+     * @param {number} maxLength - the maximal length of words that are all compared
+     * @param {number} [samples] - the number of random words longer than maxLength
+     * @param {number} [maxSampleLength] - the maximal length of the random words
+     * @param {Function} [random] - a function that returns random numbers in [0, 1) like Math.random,
+     * e.g. a seeded generator for reproducible results
+     * @returns {Object} { correct, count, counterexamples } where correct is the number of
+     * compared words which both grammars generate or do not generate, count the number of
+     * compared words and counterexamples an array of objects { word, acceptedByFirst,
+     * acceptedBySecond } for the words generated by only one grammar
+     */
+
+  similarity (g2, maxLength, samples = 0, maxSampleLength = 2 * maxLength + 2, random = Math.random) {
+    const g1 = this
+    let count = 0
+    let correct = 0
+    const counterexamples = []
+    const compare = w => {
+      const acceptedByFirst = g1.accepts(w)
+      const acceptedBySecond = g2.accepts(w)
+      count++
+      if (acceptedByFirst === acceptedBySecond) {
+        correct++
+      } else {
+        counterexamples.push({ word: w, acceptedByFirst: acceptedByFirst, acceptedBySecond: acceptedBySecond })
+      }
+    }
+
+    const terminals = g1.terminals.symbols.concat(g2.terminals.symbols.filter(t => !g1.isTerminal(t)))
+    const words = new Alphabet(terminals.join('')).genAllWords()
+    let w
+    while ((w = words.next().value).length <= maxLength) {
+      compare(w)
+    }
+    const randomWord = [randomWords(g1, random), randomWords(g2, random)]
+    const compared = new Set()
+    for (let i = 0; i < samples; i++) {
+      const length = maxLength + 1 + Math.floor(random() * (maxSampleLength - maxLength))
+      const w = randomWord[i % 2](length)
+      if (w !== undefined && !compared.has(w)) {
+        compared.add(w)
+        compare(w)
+      }
+    }
+    return { correct: correct, count: count, counterexamples: counterexamples }
+  }
+
+  /**
+     * determine the variables that derive the empty word
+     * @returns {Set} the set of nullable variables
+     */
+
+  nullableVariables () {
+    const g = this
+    const nullable = new Set()
+    let changed = true
+    while (changed) {
+      changed = false
+      g.variables.forEach((value, key) => {
+        if (!nullable.has(key) && value.rules.some(r => g.symbols(r).every(x => nullable.has(x)))) {
+          nullable.add(key)
+          changed = true
+        }
+      })
+    }
+    return nullable
+  }
+
+  /**
+     * determine the FIRST set of a sequence of symbols, i.e. the terminals a word
+     * derived from the sequence can start with. Contains ε if the sequence is nullable.
+     * @param {string|Array} symbols - a sequence of terminals and variables
+     * @param {Map} [first] - the FIRST sets of the variables (see {@link ContextFreeGrammar#first})
+     * @returns {Set} the FIRST set of the sequence
+     */
+
+  firstOf (symbols, first = this.first()) {
+    const g = this
+    const result = new Set()
+    if (typeof symbols === 'string') {
+      symbols = g.symbols(symbols)
+    }
+    for (const x of symbols) {
+      if (g.isTerminal(x)) {
+        result.add(x)
+        return result
+      }
+      const firstX = first.has(x) ? first.get(x) : new Set()
+      firstX.forEach(t => {
+        if (t !== EPSILON) {
+          result.add(t)
+        }
+      })
+      if (!firstX.has(EPSILON)) {
+        return result
+      }
+    }
+    result.add(EPSILON)
+    return result
+  }
+
+  /**
+     * determine the FIRST sets of all variables
+     * @returns {Map} maps each variable to its FIRST set. The set contains ε
+     * if the variable is nullable.
+     */
+
+  first () {
+    const g = this
+    const first = new Map()
+    g.variables.forEach((value, key) => first.set(key, new Set()))
+    let changed = true
+    while (changed) {
+      changed = false
+      g.variables.forEach((value, key) => {
+        const firstKey = first.get(key)
+        value.rules.forEach(r => {
+          g.firstOf(g.symbols(r), first).forEach(t => {
+            if (!firstKey.has(t)) {
+              firstKey.add(t)
+              changed = true
+            }
+          })
+        })
+      })
+    }
+    return first
+  }
+
+  /**
+     * determine the FOLLOW sets of all variables, i.e. the terminals that can follow
+     * a variable in a sentential form. The end marker $ is in the FOLLOW set of the
+     * start variable.
+     * @param {Map} [first] - the FIRST sets of the variables (see {@link ContextFreeGrammar#first})
+     * @returns {Map} maps each variable to its FOLLOW set
+     */
+
+  follow (first = this.first()) {
+    const g = this
+    const follow = new Map()
+    g.variables.forEach((value, key) => follow.set(key, new Set()))
+    follow.get(g.getStartVariable()).add(END)
+    let changed = true
+    while (changed) {
+      changed = false
+      g.variables.forEach((value, key) => {
+        value.rules.forEach(r => {
+          const symbols = g.symbols(r)
+          symbols.forEach((x, i) => {
+            if (!g.isVariable(x)) {
+              return
+            }
+            const followX = follow.get(x)
+            const firstRest = g.firstOf(symbols.slice(i + 1), first)
+            const add = t => {
+              if (t !== EPSILON && !followX.has(t)) {
+                followX.add(t)
+                changed = true
+              }
+            }
+            firstRest.forEach(add)
+            if (firstRest.has(EPSILON)) {
+              follow.get(key).forEach(add)
+            }
+          })
+        })
+      })
+    }
+    return follow
+  }
+
+  /**
+     * construct the LL(1) parse table. The entry for a variable A and a terminal a
+     * (or the end marker $) contains all rules A -> w with a in FIRST(w) or with
+     * ε in FIRST(w) and a in FOLLOW(A).
+     * @returns {Map} maps each variable to a map from terminals to arrays of right sides.
+     * Entries with more than one right side are conflicts.
+     */
+
+  ll1Table () {
+    const g = this
+    const first = g.first()
+    const follow = g.follow(first)
+    const table = new Map()
+    g.variables.forEach((value, key) => {
+      const row = new Map()
+      table.set(key, row)
+      const add = (t, r) => {
+        if (!row.has(t)) {
+          row.set(t, [])
+        }
+        if (!row.get(t).includes(r)) {
+          row.get(t).push(r)
+        }
+      }
+      value.rules.forEach(r => {
+        const firstR = g.firstOf(g.symbols(r), first)
+        firstR.forEach(t => {
+          if (t !== EPSILON) {
+            add(t, r)
+          }
+        })
+        if (firstR.has(EPSILON)) {
+          follow.get(key).forEach(t => add(t, r))
+        }
+      })
+    })
+    return table
+  }
+
+  /**
+     * determine the conflicts of the LL(1) parse table
+     * @returns {Array} an array of objects { variable, terminal, rules } for all table
+     * entries with more than one rule. The array is empty iff the grammar is LL(1).
+     */
+
+  ll1Conflicts () {
+    const conflicts = []
+    this.ll1Table().forEach((row, variable) => {
+      row.forEach((rules, terminal) => {
+        if (rules.length > 1) {
+          conflicts.push({ variable: variable, terminal: terminal, rules: rules })
+        }
+      })
+    })
+    return conflicts
+  }
+
+  /**
+     * checks whether the grammar is LL(1)
+     * @returns {boolean} true if the LL(1) parse table has no conflicts, false otherwise
+     */
+
+  isLL1 () {
+    return this.ll1Conflicts().length === 0
+  }
+
+  /**
+     * parse a word with the table-driven predictive parser. If there are conflicts in
+     * the table the first rule of an entry is used.
+     * @param {string} word - a word
+     * @param {number} [maxSteps] - the maximal number of steps
+     * @returns {Object} { accepted, steps } where steps is an array of objects { stack, input, action }.
+     * The stack is written with the top first and ends with the end marker $.
+     */
+
+  ll1Parse (word, maxSteps = MAX_PARSE_STEPS) {
+    const g = this
+    const table = g.ll1Table()
+    const stack = [g.getStartVariable(), END]
+    const input = [...word, END]
+    const steps = []
+    let i = 0
+    const step = action => steps.push({ stack: stack.join(''), input: input.slice(i).join(''), action: action })
+
+    while (steps.length < maxSteps) {
+      const top = stack[0]
+      const a = input[i]
+      if (top === END && a === END) {
+        step('accept')
+        return { accepted: true, steps: steps }
+      }
+      if (!g.isVariable(top)) {
+        if (top !== a) {
+          step('error')
+          return { accepted: false, steps: steps }
+        }
+        step('match ' + a)
+        stack.shift()
+        i++
+        continue
+      }
+      const rules = table.get(top).get(a)
+      if (rules === undefined) {
+        step('error')
+        return { accepted: false, steps: steps }
+      }
+      const symbols = g.symbols(rules[0])
+      step(`${top}->${symbols.length === 0 ? EPSILON : symbols.join('')}`)
+      stack.splice(0, 1, ...symbols)
+    }
+    step('error: too many steps')
+    return { accepted: false, steps: steps }
+  }
+
+  /**
+     * convert the FIRST and FOLLOW sets to a string
+     * @returns {string} one line for each variable with its FIRST and FOLLOW set
+     */
+
+  firstFollowToString () {
+    const g = this
+    const first = g.first()
+    const follow = g.follow(first)
+    const set = s => '{' + [...s].sort().join(',') + '}'
+    return [...g.variables.keys()]
+      .map(v => `${v}: FIRST = ${set(first.get(v))}, FOLLOW = ${set(follow.get(v))}`)
+      .join('\n')
+  }
+
+  /**
+     * convert the FIRST and FOLLOW sets to LaTeX
+     * @returns {string} a LaTeX table with the FIRST and FOLLOW set of each variable
+     */
+
+  firstFollowToLatex () {
+    const g = this
+    const first = g.first()
+    const follow = g.follow(first)
+    const set = s => '\\{' + [...s].sort().map(latexSymbol).join(',') + '\\}'
+    let s = '\\[\n\\begin{array}{l|l|l}\n'
+    s += '& \\mathrm{FIRST} & \\mathrm{FOLLOW}\\\\\n\\hline\n'
+    g.variables.forEach((value, key) => {
+      s += `${key} & ${set(first.get(key))} & ${set(follow.get(key))}\\\\\n`
+    })
+    return s + '\\end{array}\n\\]'
+  }
+
+  /**
+     * convert the LL(1) parse table to a string
+     * @returns {string} the table with one row for each variable and one column for
+     * each terminal and the end marker
+     */
+
+  ll1TableToString () {
+    const g = this
+    const table = g.ll1Table()
+    const columns = g.terminals.symbols.concat(END)
+    const rows = [[''].concat(columns)]
+    table.forEach((row, variable) => {
+      rows.push([variable].concat(columns.map(t => {
+        return (row.get(t) || []).map(r => `${variable}->${r === '' ? EPSILON : r}`).join(',')
+      })))
+    })
+    return tableToString(rows)
+  }
+
+  /**
+     * convert the LL(1) parse table to LaTeX
+     * @returns {string} the table as LaTeX array
+     */
+
+  ll1TableToLatex () {
+    const g = this
+    const table = g.ll1Table()
+    const columns = g.terminals.symbols.concat(END)
+    let s = '\\[\n\\begin{array}{l|' + columns.map(() => 'l').join('') + '}\n'
+    s += ' & ' + columns.map(latexSymbol).join(' & ') + '\\\\\n\\hline\n'
+    table.forEach((row, variable) => {
+      s += variable + ' & ' + columns.map(t => {
+        return (row.get(t) || []).map(r => `${variable}\\to ${r === '' ? '\\varepsilon' : r}`).join(',\\,')
+      }).join(' & ') + '\\\\\n'
+    })
+    return s + '\\end{array}\n\\]'
+  }
+
+  /**
+     * convert the steps of the predictive parser to a string
+     * @param {Object} result - the result of {@link ContextFreeGrammar#ll1Parse}
+     * @returns {string} one line for each step with stack, input and action
+     */
+
+  ll1ParseResultToString (result) {
+    return parseStepsToString(result.steps)
+  }
+
+  /**
+     * convert the steps of the predictive parser to LaTeX
+     * @param {Object} result - the result of {@link ContextFreeGrammar#ll1Parse}
+     * @returns {string} the steps as LaTeX array
+     */
+
+  ll1ParseResultToLatex (result) {
+    return parseStepsToLatex(result.steps)
+  }
+
+  /**
+     * construct the canonical LR(0) automaton of the grammar augmented by a new start
+     * rule S'->S. The states are numbered in the order of their construction, the
+     * items of a state are stored in its tag as an array of objects { variable, rule, dot }.
+     * States with a complete item are final. A layout is set so that the automaton
+     * can be converted with {@link Automaton#convertTikz}.
+     * @returns {Automaton} the LR(0) automaton over the terminals and variables of the grammar
+     */
+
+  lr0Automaton () {
+    const g = this
+    const start = g.getStartVariable()
+    const a = new Automaton('LR0', g.terminals.symbols.concat([...g.variables.keys()]))
+    const statesByKey = new Map()
+    const addState = items => {
+      const key = itemsKey(items)
+      if (!statesByKey.has(key)) {
+        const s = a.addState(String(statesByKey.size), statesByKey.size === 0, items.some(isComplete), { items: items })
+        statesByKey.set(key, s)
+        todo.push(s)
+      }
+      return statesByKey.get(key)
+    }
+    const todo = []
+    addState(lr0Closure(g, [{ variable: start + "'", rule: [start], dot: 0 }]))
+    while (todo.length > 0) {
+      const s = todo.shift()
+      nextSymbols(s.tag.items).forEach(x => {
+        a.addEdge(s, addState(lr0Closure(g, advance(s.tag.items, x))), x)
+      })
+    }
+    a.layoutByDistance()
+    return a
+  }
+
+  /**
+     * construct the LR(0) parse table. Reductions are done for all terminals and the end marker.
+     * @param {Automaton} [automaton] - the LR(0) automaton (see {@link ContextFreeGrammar#lr0Automaton})
+     * @returns {Object} { action, goto } where action maps each state name to a map from
+     * terminals to arrays of actions and goto maps each state name to a map from variables
+     * to state names. An action is an object { type: 'shift', state }, { type: 'reduce', variable, rule }
+     * or { type: 'accept' }.
+     */
+
+  lr0Table (automaton = this.lr0Automaton()) {
+    const lookahead = new Set(this.terminals.symbols.concat(END))
+    return lrTable(this, automaton, () => lookahead)
+  }
+
+  /**
+     * construct the SLR(1) parse table. A rule A->w is reduced for the terminals in FOLLOW(A).
+     * @param {Automaton} [automaton] - the LR(0) automaton (see {@link ContextFreeGrammar#lr0Automaton})
+     * @returns {Object} { action, goto } (see {@link ContextFreeGrammar#lr0Table})
+     */
+
+  slrTable (automaton = this.lr0Automaton()) {
+    const follow = this.follow()
+    return lrTable(this, automaton, (state, item) => follow.get(item.variable))
+  }
+
+  /**
+     * construct the LALR(1) parse table. The lookaheads are determined by merging the
+     * states of the canonical LR(1) automaton with the same items.
+     * @param {Automaton} [automaton] - the LR(0) automaton (see {@link ContextFreeGrammar#lr0Automaton})
+     * @returns {Object} { action, goto } (see {@link ContextFreeGrammar#lr0Table})
+     */
+
+  lalrTable (automaton = this.lr0Automaton()) {
+    const lookaheads = lalrLookaheads(this, automaton)
+    return lrTable(this, automaton, (state, item) => lookaheads.get(state).get(itemToString(item)) || new Set())
+  }
+
+  /**
+     * determine the conflicts of an LR parse table
+     * @param {Object} table - an LR parse table (see {@link ContextFreeGrammar#lr0Table})
+     * @returns {Array} an array of objects { state, terminal, type, actions } for all table entries
+     * with more than one action, type is 'shift-reduce' or 'reduce-reduce'
+     */
+
+  lrConflicts (table) {
+    const conflicts = []
+    table.action.forEach((row, state) => {
+      row.forEach((actions, terminal) => {
+        if (actions.length > 1) {
+          const type = actions.some(x => x.type === 'shift') ? 'shift-reduce' : 'reduce-reduce'
+          conflicts.push({ state: state, terminal: terminal, type: type, actions: actions })
+        }
+      })
+    })
+    return conflicts
+  }
+
+  /**
+     * checks whether the grammar is LR(0)
+     * @returns {boolean} true if the LR(0) parse table has no conflicts, false otherwise
+     */
+
+  isLR0 () {
+    return this.lrConflicts(this.lr0Table()).length === 0
+  }
+
+  /**
+     * checks whether the grammar is SLR(1)
+     * @returns {boolean} true if the SLR(1) parse table has no conflicts, false otherwise
+     */
+
+  isSLR1 () {
+    return this.lrConflicts(this.slrTable()).length === 0
+  }
+
+  /**
+     * checks whether the grammar is LALR(1)
+     * @returns {boolean} true if the LALR(1) parse table has no conflicts, false otherwise
+     */
+
+  isLALR1 () {
+    return this.lrConflicts(this.lalrTable()).length === 0
+  }
+
+  /**
+     * parse a word with the shift-reduce parser. If there are conflicts in the table
+     * the first action of an entry is used, i.e. shifts are preferred.
+     * @param {string} word - a word
+     * @param {Object} [table] - an LR parse table (see {@link ContextFreeGrammar#lr0Table}),
+     * by default the LALR(1) table
+     * @param {number} [maxSteps] - the maximal number of steps
+     * @returns {Object} { accepted, steps } where steps is an array of objects { stack, input, action }.
+     * The stack alternates states and symbols separated by blanks and has its top at the end.
+     */
+
+  lrParse (word, table = this.lalrTable(), maxSteps = MAX_PARSE_STEPS) {
+    const states = ['0']
+    const symbols = []
+    const input = [...word, END]
+    const steps = []
+    let i = 0
+    const step = action => {
+      const stack = states.map((s, k) => k === 0 ? s : symbols[k - 1] + ' ' + s).join(' ')
+      steps.push({ stack: stack, input: input.slice(i).join(''), action: action })
+    }
+
+    while (steps.length < maxSteps) {
+      const actions = table.action.get(states[states.length - 1]).get(input[i])
+      if (actions === undefined) {
+        step('error')
+        return { accepted: false, steps: steps }
+      }
+      const action = actions[0]
+      if (action.type === 'accept') {
+        step('accept')
+        return { accepted: true, steps: steps }
+      }
+      if (action.type === 'shift') {
+        step('shift ' + action.state)
+        symbols.push(input[i++])
+        states.push(action.state)
+        continue
+      }
+      step('reduce ' + ruleToString(action.variable, action.rule))
+      const length = this.symbols(action.rule).length
+      states.splice(states.length - length, length)
+      symbols.splice(symbols.length - length, length)
+      symbols.push(action.variable)
+      states.push(table.goto.get(states[states.length - 1]).get(action.variable))
+    }
+    step('error: too many steps')
+    return { accepted: false, steps: steps }
+  }
+
+  /**
+     * convert the item sets of an LR(0) automaton to a string
+     * @param {Automaton} automaton - the LR(0) automaton (see {@link ContextFreeGrammar#lr0Automaton})
+     * @returns {string} the items of each state, one per line
+     */
+
+  lrItemsToString (automaton) {
+    return [...automaton.states]
+      .map(s => s.name + ':\n' + s.tag.items.map(item => '  ' + itemToString(item)).join('\n'))
+      .join('\n')
+  }
+
+  /**
+     * convert an LR parse table to a string. Shifts are written as s2, reductions as r S->aSb
+     * and accept as acc.
+     * @param {Object} table - an LR parse table (see {@link ContextFreeGrammar#lr0Table})
+     * @returns {string} the table with one row for each state, one column for each terminal,
+     * the end marker and each variable
+     */
+
+  lrTableToString (table) {
+    const g = this
+    const terminals = g.terminals.symbols.concat(END)
+    const variables = [...g.variables.keys()]
+    const rows = [[''].concat(terminals, variables)]
+    table.action.forEach((row, state) => {
+      rows.push([state].concat(
+        terminals.map(t => (row.get(t) || []).map(actionToString).join(',')),
+        variables.map(v => table.goto.get(state).get(v) || '')
+      ))
+    })
+    return tableToString(rows)
+  }
+
+  /**
+     * convert an LR parse table to LaTeX
+     * @param {Object} table - an LR parse table (see {@link ContextFreeGrammar#lr0Table})
+     * @returns {string} the table as LaTeX array
+     */
+
+  lrTableToLatex (table) {
+    const g = this
+    const terminals = g.terminals.symbols.concat(END)
+    const variables = [...g.variables.keys()]
+    const columns = cs => cs.map(() => 'l').join('')
+    let s = `\\[\n\\begin{array}{l|${columns(terminals)}|${columns(variables)}}\n`
+    s += ' & ' + terminals.concat(variables).map(latexSymbol).join(' & ') + '\\\\\n\\hline\n'
+    table.action.forEach((row, state) => {
+      const actions = terminals.map(t => (row.get(t) || []).map(x => {
+        return latexSymbol(actionToString(x).replace('->', '\\to '))
+      }).join(',\\,'))
+      const gotos = variables.map(v => table.goto.get(state).get(v) || '')
+      s += state + ' & ' + actions.concat(gotos).join(' & ') + '\\\\\n'
+    })
+    return s + '\\end{array}\n\\]'
+  }
+
+  /**
+     * convert the steps of the shift-reduce parser to a string
+     * @param {Object} result - the result of {@link ContextFreeGrammar#lrParse}
+     * @returns {string} one line for each step with stack, input and action
+     */
+
+  lrParseResultToString (result) {
+    return parseStepsToString(result.steps)
+  }
+
+  /**
+     * convert the steps of the shift-reduce parser to LaTeX
+     * @param {Object} result - the result of {@link ContextFreeGrammar#lrParse}
+     * @returns {string} the steps as LaTeX array
+     */
+
+  lrParseResultToLatex (result) {
+    return parseStepsToLatex(result.steps)
+  }
+
+  cyk (word) {
+    const g = this
+
+    function reverse () {
+      const rr = new Map()
+      g.variables.forEach((value, key) => {
+        value.rules.forEach(v => {
+          if (!rr.has(v)) {
+            rr.set(v, new Set())
+          }
+          rr.set(v, rr.get(v).add(key))
+        })
+      })
+      return rr
+    }
+    const reversedRules = reverse()
+    const v = []
+    v[0] = [...word].map(char => {
+      return reversedRules.has(char) ? reversedRules.get(char) : new Set()
+    })
+    // v[1].unshift(0)
+    const n = word.length
+    for (let k = 1; k < n; k++) {
+      v[k] = []
+      for (let i = 0; i < n - k; i++) {
+        v[k][i] = new Set()
+        for (let m = 0; m < k; m++) {
+          v[m][i].forEach(v1 => {
+            v[k - m - 1][i + m + 1].forEach(v2 => {
+              if (reversedRules.has(v1 + v2)) {
+                v[k][i] = v[k][i].union(reversedRules.get(v1 + v2))
+              }
+            })
+          })
+        }
+      }
+    }
+    return v
+  }
+
+  cykResultToString (v) {
+    let s = ''
+    v.forEach(row => {
+      row.forEach(col => {
+        s += Array.from(col).sort().join(',')
+        s += '; '
+      })
+      s += '\n'
+    })
+    return s
+  }
+
+  cykResultToTikz (word, v) {
+    let s = '\\begin{tikzpicture}[->, >=stealth, node distance = 2.2cm, minimum width=2.2cm, minimum height=1cm, auto]\n'
+            ;[...word].forEach((char, i) => {
+      const right = (i === 0 ? '' : `[right of=${i - 1}]`)
+      s += `\\node[] (${i}) ${right} {$${char}$};\n`
+    })
+    let offset = word.length
+    let previousOffset = 0
+    v.forEach(row => {
+      row.forEach((col, i) => {
+        let label
+        if (col.size === 0) {
+          label = '{$\\emptyset$}'
+        } else {
+          label = '{$' + [...col].sort().join(',') + '$}'
+        }
+        s += `\\node[draw](${i + offset}) [below=0cm of ${i + previousOffset}] ${label};\n`
+      })
+      previousOffset = offset
+      offset += row.length
+    })
+    s += '\\end{tikzpicture}'
+    return s
+  }
+
+  /**
+     * construct a parse tree from the table filled by {@link ContextFreeGrammar#cyk}.
+     * The grammar must be in Chomsky normal form.
+     * @param {string} word - a word
+     * @param {Array} v - the result of cyk for this word
+     * @returns {ParseTree} a parse tree for the word or undefined if the word is not derivable
+     */
+
+  cykResultToParseTree (word, v) {
+    const g = this
+    const n = word.length
+    function tree (variable, k, i) {
+      const rules = g.variables.get(variable).rules
+      if (k === 0) {
+        return new ParseTree(variable, [new ParseTree(word[i])])
+      }
+      for (let m = 0; m < k; m++) {
+        for (const r of rules.map(r => g.symbols(r))) {
+          if (r.length === 2 && v[m][i].has(r[0]) && v[k - m - 1][i + m + 1].has(r[1])) {
+            return new ParseTree(variable, [tree(r[0], m, i), tree(r[1], k - m - 1, i + m + 1)])
+          }
+        }
+      }
+    }
+    const start = g.getStartVariable()
+    if (n === 0 || !v[n - 1][0].has(start)) {
+      return undefined
+    }
+    return tree(start, n - 1, 0)
+  }
+
+  /**
+     * determine a parse tree of a word (see {@link ContextFreeGrammar#parseTrees})
+     * @param {string} word - a word
+     * @returns {ParseTree} a parse tree or undefined if the word is not derivable
+     */
+
+  parseTree (word) {
+    return this.parseTrees(word, 1)[0]
+  }
+
+  /**
+     * run Earley's algorithm on a word. Works for all context-free grammars, including rules
+     * with the empty word and left recursion. Nullable variables are skipped during prediction
+     * (Aycock and Horspool).
+     * @param {string} word - a word
+     * @returns {Array} the chart: for each position 0..n an array of items
+     * { variable, rule, dot, origin }
+     */
+
+  earley (word) {
+    const g = this
+    const symbols = [...word]
+    const n = symbols.length
+    const nullable = g.nullableVariables()
+    const chart = []
+    for (let i = 0; i <= n; i++) {
+      chart.push({ items: [], keys: new Set() })
+    }
+    function add (i, item) {
+      const key = item.variable + '|' + item.rule + '|' + item.dot + '|' + item.origin
+      if (!chart[i].keys.has(key)) {
+        chart[i].keys.add(key)
+        chart[i].items.push(item)
+      }
+    }
+    const rulesOf = variable => g.isVariable(variable) ? g.variables.get(variable).rules : []
+
+    const start = g.getStartVariable()
+    rulesOf(start).forEach(r => add(0, { variable: start, rule: r, dot: 0, origin: 0 }))
+    for (let i = 0; i <= n; i++) {
+      const items = chart[i].items
+      // items may grow while being processed
+      for (let k = 0; k < items.length; k++) {
+        const item = items[k]
+        const rightSide = g.symbols(item.rule)
+        if (item.dot < rightSide.length) {
+          const next = rightSide[item.dot]
+          if (g.isTerminal(next)) {
+            // scan
+            if (i < n && symbols[i] === next) {
+              add(i + 1, { ...item, dot: item.dot + 1 })
+            }
+          } else {
+            // predict
+            rulesOf(next).forEach(r => add(i, { variable: next, rule: r, dot: 0, origin: i }))
+            if (nullable.has(next)) {
+              add(i, { ...item, dot: item.dot + 1 })
+            }
+          }
+        } else {
+          // complete
+          chart[item.origin].items
+            .filter(waiting => g.symbols(waiting.rule)[waiting.dot] === item.variable)
+            .forEach(waiting => add(i, { ...waiting, dot: waiting.dot + 1 }))
+        }
+      }
+    }
+    return chart.map(c => c.items)
+  }
+
+  /**
+     * checks whether a word can be derived from the start variable (see {@link ContextFreeGrammar#earley})
+     * @param {string} word - a word
+     * @returns {boolean} true if the word is in the language of the grammar, false otherwise
+     */
+
+  accepts (word) {
+    const g = this
+    const chart = g.earley(word)
+    const start = g.getStartVariable()
+    return chart[chart.length - 1].some(item => {
+      return item.variable === start && item.origin === 0 && item.dot === g.symbols(item.rule).length
+    })
+  }
+
+  /**
+     * construct a shared packed parse forest for a word from the chart of Earley's algorithm.
+     * A node { symbol, start, end, alternatives } stands for all derivations of the subword
+     * from start to end out of the variable symbol. Each alternative { rule, children } is one
+     * rule together with a split of the subword, the children are again nodes. Terminal
+     * nodes have no alternatives. Nodes are shared, for cyclic grammars the forest contains cycles.
+     * @param {string} word - a word
+     * @returns {Object} the root node of the forest or undefined if the word is not derivable
+     */
+
+  parseForest (word) {
+    const g = this
+    const symbols = [...word]
+    const n = symbols.length
+    const chart = g.earley(word)
+
+    // completed[j] maps variable|origin to the rules of the completed items in chart[j]
+    const completed = chart.map(items => {
+      const c = new Map()
+      items.filter(item => item.dot === g.symbols(item.rule).length).forEach(item => {
+        const key = item.variable + '|' + item.origin
+        if (!c.has(key)) {
+          c.set(key, [])
+        }
+        if (!c.get(key).includes(item.rule)) {
+          c.get(key).push(item.rule)
+        }
+      })
+      return c
+    })
+
+    const start = g.getStartVariable()
+    if (!completed[n].has(start + '|0')) {
+      return undefined
+    }
+
+    const nodes = new Map()
+    function node (variable, i, j) {
+      const key = variable + '|' + i + '|' + j
+      if (nodes.has(key)) {
+        return nodes.get(key)
+      }
+      const nd = { symbol: variable, start: i, end: j, alternatives: [] }
+      nodes.set(key, nd)
+      for (const rule of completed[j].get(variable + '|' + i)) {
+        const rightSide = g.symbols(rule)
+        const splits = []
+        const match = (pos, k, children) => {
+          if (pos === rightSide.length) {
+            if (k === j) {
+              splits.push(children)
+            }
+            return
+          }
+          const x = rightSide[pos]
+          if (g.isTerminal(x)) {
+            if (k < j && symbols[k] === x) {
+              match(pos + 1, k + 1, children.concat({ symbol: x, start: k, end: k + 1 }))
+            }
+          } else {
+            for (let l = k; l <= j; l++) {
+              if (completed[l].has(x + '|' + k)) {
+                match(pos + 1, l, children.concat([[x, k, l]]))
+              }
+            }
+          }
+        }
+        match(0, i, [])
+        splits.forEach(children => {
+          nd.alternatives.push({
+            rule: rule,
+            children: children.map(c => Array.isArray(c) ? node(c[0], c[1], c[2]) : c)
+          })
+        })
+      }
+      return nd
+    }
+    return node(start, 0, n)
+  }
+
+  /**
+     * convert a parse forest to a string. Each variable node is written as one line
+     * with all its alternatives, e.g. S[0,2] -> a[0,1] b[1,2] | A[0,2]
+     * @param {Object} root - the root of a parse forest (see {@link ContextFreeGrammar#parseForest})
+     * @returns {string} a string representing the forest
+     */
+
+  parseForestToString (root) {
+    if (root === undefined) {
+      return ''
+    }
+    const label = nd => `${nd.symbol}[${nd.start},${nd.end}]`
+    const lines = []
+    const visited = new Set([root])
+    const todo = [root]
+    while (todo.length > 0) {
+      const nd = todo.shift()
+      lines.push(label(nd) + ' -> ' + nd.alternatives.map(alt => {
+        if (alt.children.length === 0) {
+          return ParseTree.EPSILON
+        }
+        return alt.children.map(c => {
+          if (c.alternatives !== undefined && !visited.has(c)) {
+            visited.add(c)
+            todo.push(c)
+          }
+          return label(c)
+        }).join(' ')
+      }).join(' | '))
+    }
+    return lines.join('\n')
+  }
+
+  /**
+     * determine the parse trees of a word. Derivations where a variable derives the
+     * same subword inside itself (possible with cyclic grammars) are left out, so
+     * the number of trees is always finite.
+     * @param {string} word - a word
+     * @param {number} [maxTrees] - the maximal number of trees
+     * @returns {Array} an array of {@link ParseTree}, empty if the word is not derivable
+     */
+
+  parseTrees (word, maxTrees = 100) {
+    const root = this.parseForest(word)
+    if (root === undefined) {
+      return []
+    }
+
+    function * trees (nd, path) {
+      if (nd.alternatives === undefined) {
+        yield new ParseTree(nd.symbol)
+        return
+      }
+      if (path.has(nd)) {
+        return
+      }
+      const p = new Set(path).add(nd)
+      for (const alt of nd.alternatives) {
+        if (alt.children.length === 0) {
+          yield new ParseTree(nd.symbol, [new ParseTree(ParseTree.EPSILON)])
+        } else {
+          for (const children of product(alt.children, 0, p)) {
+            yield new ParseTree(nd.symbol, children)
+          }
+        }
+      }
+    }
+    function * product (nodes, i, path) {
+      if (i === nodes.length) {
+        yield []
+        return
+      }
+      for (const t of trees(nodes[i], path)) {
+        for (const rest of product(nodes, i + 1, path)) {
+          yield [t].concat(rest)
+        }
+      }
+    }
+
+    const result = []
+    for (const t of trees(root, new Set())) {
+      if (result.length >= maxTrees) {
+        break
+      }
+      result.push(t)
+    }
+    return result
+  }
+}
+
+/**
+ * split the text of a grammar into tokens
+ * @param {string} text - the rules of a grammar
+ * @returns {Array} an array of tokens { type, value, line, column } where type is one of
+ * variable, terminal, epsilon, arrow, bar and newline
+ * @throws {Error} an error with line and column for an unexpected character
+ */
+
+function tokenizeGrammar (text) {
+  const chars = [...text]
+  const tokens = []
+  let line = 1
+  let column = 1
+  let i = 0
+  const error = message => new Error(`line ${line}, column ${column}: ${message}`)
+  const add = (type, value, length) => {
+    tokens.push({ type: type, value: value, line: line, column: column })
+    i += length
+    column += length
+  }
+  // the position of the closing delimiter on the same line
+  const closing = (delimiter, from) => {
+    for (let k = from; k < chars.length && chars[k] !== '\n'; k++) {
+      if (chars[k] === delimiter) {
+        return k
+      }
+    }
+    return -1
+  }
+
+  while (i < chars.length) {
+    const c = chars[i]
+    if (c === '\n') {
+      add('newline', c, 1)
+      line++
+      column = 1
+    } else if (/\s/.test(c)) {
+      i++
+      column++
+    } else if (c === '#') {
+      while (i < chars.length && chars[i] !== '\n') {
+        i++
+        column++
+      }
+    } else if (c === '-' && chars[i + 1] === '>') {
+      add('arrow', '->', 2)
+    } else if (c === ':' && chars[i + 1] === ':' && chars[i + 2] === '=') {
+      add('arrow', '::=', 3)
+    } else if (c === '>' || c === '→') {
+      add('arrow', c, 1)
+    } else if (c === '|') {
+      add('bar', c, 1)
+    } else if (c === EPSILON) {
+      add('epsilon', c, 1)
+    } else if (/\p{Lu}/u.test(c)) {
+      add('variable', c, 1)
+    } else if (/[\p{Ll}0-9]/u.test(c)) {
+      add('terminal', c, 1)
+    } else if (c === '<' || c === '"') {
+      const end = closing(c === '<' ? '>' : '"', i + 1)
+      if (end === -1) {
+        throw error(`missing ${c === '<' ? '>' : '"'} after the name of a variable`)
+      }
+      if (end === i + 1) {
+        throw error('the name of a variable must not be empty')
+      }
+      add('variable', '<' + chars.slice(i + 1, end).join('') + '>', end - i + 1)
+    } else if (c === "'") {
+      if (chars[i + 2] !== "'" || chars[i + 1] === '\n' || chars[i + 1] === undefined) {
+        throw error("a quoted terminal must be a single character like '+'")
+      }
+      add('terminal', chars[i + 1], 3)
+    } else {
+      throw error(`unexpected character ${c}, write terminals like '${c}'`)
+    }
+  }
+  return tokens
+}
+
+/**
+ * parse the rules of a grammar
+ * @param {string} text - the rules of a grammar (see {@link ContextFreeGrammar.parse})
+ * @returns {Array} an array of objects { variable, alternatives } where variable is the token
+ * of the left side and alternatives is an array of arrays of tokens
+ * @throws {Error} an error with line and column for a syntax error
+ */
+
+function parseRuleLines (text) {
+  const tokens = tokenizeGrammar(text)
+  const lines = [[]]
+  tokens.forEach(t => t.type === 'newline' ? lines.push([]) : lines[lines.length - 1].push(t))
+  const error = (token, message) => new Error(`line ${token.line}, column ${token.column}: ${message}`)
+
+  const rules = []
+  lines.filter(line => line.length > 0).forEach(line => {
+    let rest
+    if (line[0].type === 'bar') {
+      if (rules.length === 0) {
+        throw error(line[0], 'a rule must start with a variable')
+      }
+      rest = line.slice(1)
+    } else {
+      if (line[0].type !== 'variable') {
+        throw error(line[0], `a rule must start with a variable, not ${line[0].value}`)
+      }
+      if (line.length < 2 || line[1].type !== 'arrow') {
+        const token = line[1] || line[0]
+        throw error(token, `expected -> after ${line[0].value}`)
+      }
+      rules.push({ variable: line[0], alternatives: [] })
+      rest = line.slice(2)
+    }
+    const alternatives = rules[rules.length - 1].alternatives
+    let alternative = []
+    rest.forEach(t => {
+      if (t.type === 'arrow') {
+        throw error(t, `unexpected ${t.value}, a line may contain only one rule`)
+      }
+      if (t.type === 'bar') {
+        alternatives.push(alternative)
+        alternative = []
+      } else {
+        alternative.push(t)
+      }
+    })
+    alternatives.push(alternative)
+  })
+  return rules
+}
+
+/**
+ * convert rows of cells to a table with aligned columns
+ * @param {Array} rows - an array of arrays of strings, the first row is the header
+ * @returns {string} the table with columns separated by |
+ */
+
+function tableToString (rows) {
+  const widths = rows[0].map((c, i) => Math.max(...rows.map(r => r[i].length)))
+  return rows.map(r => r.map((c, i) => c.padEnd(widths[i])).join(' | ').trimEnd()).join('\n')
+}
+
+/**
+ * convert the steps of a parser to a string
+ * @param {Array} steps - an array of objects { stack, input, action }
+ * @returns {string} one line for each step
+ */
+
+function parseStepsToString (steps) {
+  const rows = [['stack', 'input', 'action']]
+    .concat(steps.map(step => [step.stack, step.input, step.action]))
+  return tableToString(rows)
+}
+
+/**
+ * convert the steps of a parser to LaTeX
+ * @param {Array} steps - an array of objects { stack, input, action }
+ * @returns {string} the steps as LaTeX array
+ */
+
+function parseStepsToLatex (steps) {
+  let s = '\\[\n\\begin{array}{l|l|l}\n'
+  s += '\\mathrm{stack} & \\mathrm{input} & \\mathrm{action}\\\\\n\\hline\n'
+  steps.forEach(step => {
+    // an action is a text like 'match a' or 'shift 2', optionally followed by a rule
+    const arrow = step.action.indexOf('->')
+    const ruleStart = step.action.lastIndexOf(' ', arrow) + 1
+    let action = arrow === -1 ? step.action : step.action.slice(0, ruleStart)
+    action = action === '' ? '' : `\\text{${action}}`
+    if (arrow !== -1) {
+      action += latexSymbol(step.action.slice(ruleStart).replace('->', '\\to '))
+    }
+    s += `${latexSymbol(step.stack).replace(/ /g, '\\;')} & ${latexSymbol(step.input)} & ${action}\\\\\n`
+  })
+  return s + '\\end{array}\n\\]'
+}
+
+/**
+ * convert an LR(0) item to a string
+ * @param {Object} item - an item { variable, rule, dot }
+ * @returns {string} the item with a bullet at the position of the dot, e.g. S->a•Sb
+ */
+
+function itemToString (item) {
+  return item.variable + '->' + item.rule.slice(0, item.dot).join('') + '•' + item.rule.slice(item.dot).join('')
+}
+
+/**
+ * a key that identifies a set of items
+ * @param {Array} items - an array of items
+ * @returns {string} the sorted string representations of the items
+ */
+
+function itemsKey (items) {
+  return items.map(item => itemToString(item) + (item.lookahead === undefined ? '' : ',' + item.lookahead)).sort().join('\n')
+}
+
+function isComplete (item) {
+  return item.dot === item.rule.length
+}
+
+/**
+ * the symbols directly after the dot in the given items
+ * @param {Array} items - an array of items
+ * @returns {Array} the symbols in the order of the items without duplicates
+ */
+
+function nextSymbols (items) {
+  return [...new Set(items.filter(item => !isComplete(item)).map(item => item.rule[item.dot]))]
+}
+
+/**
+ * move the dot over the given symbol
+ * @param {Array} items - an array of items
+ * @param {string} symbol - a terminal or variable
+ * @returns {Array} the items with the symbol after the dot, with the dot moved behind it
+ */
+
+function advance (items, symbol) {
+  return items
+    .filter(item => !isComplete(item) && item.rule[item.dot] === symbol)
+    .map(item => Object.assign({}, item, { dot: item.dot + 1 }))
+}
+
+/**
+ * the closure of a set of LR(0) items: for each item with a variable after the dot
+ * the items of the rules of the variable with the dot at the beginning are added
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Array} items - an array of items
+ * @returns {Array} the closure of the items
+ */
+
+function lr0Closure (g, items) {
+  const closure = items.slice()
+  const keys = new Set(closure.map(itemToString))
+  for (let i = 0; i < closure.length; i++) {
+    const item = closure[i]
+    const x = item.rule[item.dot]
+    if (isComplete(item) || !g.isVariable(x)) {
+      continue
+    }
+    g.variables.get(x).rules.forEach(r => {
+      const newItem = { variable: x, rule: g.symbols(r), dot: 0 }
+      if (!keys.has(itemToString(newItem))) {
+        keys.add(itemToString(newItem))
+        closure.push(newItem)
+      }
+    })
+  }
+  return closure
+}
+
+/**
+ * the closure of a set of LR(1) items, the lookahead of an added item for a variable B
+ * in A->u•Bv,a is in FIRST(va)
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Array} items - an array of items { variable, rule, dot, lookahead }
+ * @param {Map} first - the FIRST sets of the variables
+ * @returns {Array} the closure of the items
+ */
+
+function lr1Closure (g, items, first) {
+  const closure = items.slice()
+  const key = item => itemToString(item) + ',' + item.lookahead
+  const keys = new Set(closure.map(key))
+  for (let i = 0; i < closure.length; i++) {
+    const item = closure[i]
+    const x = item.rule[item.dot]
+    if (isComplete(item) || !g.isVariable(x)) {
+      continue
+    }
+    const lookaheads = g.firstOf(item.rule.slice(item.dot + 1), first)
+    if (lookaheads.has(EPSILON)) {
+      lookaheads.delete(EPSILON)
+      lookaheads.add(item.lookahead)
+    }
+    g.variables.get(x).rules.forEach(r => {
+      lookaheads.forEach(t => {
+        const newItem = { variable: x, rule: g.symbols(r), dot: 0, lookahead: t }
+        if (!keys.has(key(newItem))) {
+          keys.add(key(newItem))
+          closure.push(newItem)
+        }
+      })
+    })
+  }
+  return closure
+}
+
+/**
+ * determine the LALR(1) lookaheads of the complete items by constructing the canonical
+ * LR(1) automaton and merging its states with the same LR(0) items. The LR(0) state of an
+ * LR(1) state is found along the edges of the LR(0) automaton: the LR(1) closure leaves out
+ * items without lookaheads (after non-generating variables), so the items can differ.
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Automaton} automaton - the LR(0) automaton of the grammar
+ * @returns {Map} maps each state of the LR(0) automaton to a map from complete items
+ * (as strings) to sets of lookaheads
+ */
+
+function lalrLookaheads (g, automaton) {
+  const first = g.first()
+  const lookaheads = new Map()
+  automaton.states.forEach(s => lookaheads.set(s, new Map()))
+  const startState = [...automaton.getStartStates()][0]
+  const start = startState.tag.items[0]
+  const visited = new Set()
+  const todo = [{ state: startState, items: lr1Closure(g, [Object.assign({ lookahead: END }, start)], first) }]
+  while (todo.length > 0) {
+    const { state, items } = todo.shift()
+    const key = state.name + '\n' + itemsKey(items)
+    if (visited.has(key)) {
+      continue
+    }
+    visited.add(key)
+    items.filter(isComplete).forEach(item => {
+      const map = lookaheads.get(state)
+      const itemString = itemToString(item)
+      if (!map.has(itemString)) {
+        map.set(itemString, new Set())
+      }
+      map.get(itemString).add(item.lookahead)
+    })
+    nextSymbols(items).forEach(x => {
+      const next = [...state.edgesOut].find(e => e.symbol === x).sink
+      todo.push({ state: next, items: lr1Closure(g, advance(items, x), first) })
+    })
+  }
+  return lookaheads
+}
+
+/**
+ * construct an LR parse table from the LR(0) automaton
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Automaton} automaton - the LR(0) automaton of the grammar
+ * @param {Function} lookahead - gets a state and a complete item and returns the set of
+ * terminals for which the rule of the item is reduced
+ * @returns {Object} { action, goto }
+ */
+
+function lrTable (g, automaton, lookahead) {
+  const action = new Map()
+  const goto = new Map()
+  const states = [...automaton.states].sort((s1, s2) => Number(s1.name) - Number(s2.name))
+  states.forEach(s => {
+    const row = new Map()
+    const add = (t, x) => {
+      if (!row.has(t)) {
+        row.set(t, [])
+      }
+      if (!row.get(t).some(y => actionToString(y) === actionToString(x))) {
+        row.get(t).push(x)
+      }
+    }
+    action.set(s.name, row)
+    goto.set(s.name, new Map())
+    ;[...s.edgesOut].forEach(e => {
+      if (g.isVariable(e.symbol)) {
+        goto.get(s.name).set(e.symbol, e.sink.name)
+      } else {
+        add(e.symbol, { type: 'shift', state: e.sink.name })
+      }
+    })
+    s.tag.items.filter(isComplete).forEach(item => {
+      if (!g.isVariable(item.variable)) {
+        add(END, { type: 'accept' })
+        return
+      }
+      const reduce = { type: 'reduce', variable: item.variable, rule: item.rule.join('') }
+      lookahead(s, item).forEach(t => add(t, reduce))
+    })
+  })
+  return { action: action, goto: goto }
+}
+
+/**
+ * convert an action of an LR parse table to a string
+ * @param {Object} action - an action
+ * @returns {string} e.g. s2, r S->aSb or acc
+ */
+
+function actionToString (action) {
+  if (action.type === 'shift') {
+    return 's' + action.state
+  }
+  if (action.type === 'reduce') {
+    return 'r ' + ruleToString(action.variable, action.rule)
+  }
+  return 'acc'
+}
+
+/**
+ * convert a rule to a string
+ * @param {string} variable - the left side
+ * @param {string} rule - the right side
+ * @returns {string} the rule, e.g. S->aSb or S->ε
+ */
+
+function ruleToString (variable, rule) {
+  return `${variable}->${rule === '' ? EPSILON : rule}`
+}
+
+/**
+ * escape special characters, replace epsilon and write variables like <Expr> in angle
+ * brackets for LaTeX output
+ * @param {string} s - a string of symbols
+ * @returns {string} the LaTeX representation
+ */
+
+function latexSymbol (s) {
+  return s
+    .replace(/[$#%&_{}]/g, c => '\\' + c)
+    .replace(new RegExp(EPSILON, 'g'), '\\varepsilon')
+    .replace(/<([^<>]+)>/g, '\\langle\\mathit{$1}\\rangle')
+}
+
+/**
+ * split the rules of a right- or left-linear grammar into terminals and variable
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {boolean} right - true for right-linear rules, false for left-linear rules
+ * @returns {Array} an array of objects { variable, word, next } for all rules, where word
+ * is the array of terminals and next is the variable of the rule or undefined.
+ * Undefined if a rule is not linear in the given direction.
+ */
+
+function linearRules (g, right) {
+  const result = []
+  for (const [key, value] of g.variables) {
+    for (const r of value.rules) {
+      const symbols = g.symbols(r)
+      const end = right ? symbols.length - 1 : 0
+      const next = symbols.length > 0 && !g.isTerminal(symbols[end]) ? symbols[end] : undefined
+      const word = next === undefined ? symbols : right ? symbols.slice(0, -1) : symbols.slice(1)
+      if (!word.every(x => g.isTerminal(x))) {
+        return undefined
+      }
+      result.push({ variable: key, word: word, next: next })
+    }
+  }
+  return result
+}
+
+/**
+ * the words of a given length that are derivable from a variable of a grammar in
+ * Chomsky normal form
+ * @param {ContextFreeGrammar} g - a context-free grammar in Chomsky normal form
+ * @returns {Function} a memoized function that gets a variable and a length and
+ * returns the set of words
+ */
+
+function wordsOfLength (g) {
+  const memo = new Map()
+  return function words (variable, length) {
+    const key = variable + ':' + length
+    if (!memo.has(key)) {
+      const result = new Set()
+      g.variables.get(variable).rules.forEach(r => {
+        const symbols = g.symbols(r)
+        if (length <= 1) {
+          if (symbols.length === length) {
+            result.add(r)
+          }
+          return
+        }
+        if (symbols.length === 2) {
+          for (let k = 1; k < length; k++) {
+            const rightWords = words(symbols[1], length - k)
+            words(symbols[0], k).forEach(u => rightWords.forEach(v => result.add(u + v)))
+          }
+        }
+      })
+      memo.set(key, result)
+    }
+    return memo.get(key)
+  }
+}
+
+/**
+ * the number of parse trees of the words of a given length for a variable of a grammar
+ * in Chomsky normal form
+ * @param {ContextFreeGrammar} g - a context-free grammar in Chomsky normal form
+ * @returns {Function} a memoized function that gets a variable and a length and
+ * returns the number of parse trees
+ */
+
+function treeCounts (g) {
+  const memo = new Map()
+  return function count (variable, length) {
+    const key = variable + ':' + length
+    if (!memo.has(key)) {
+      let result = 0
+      g.variables.get(variable).rules.forEach(r => {
+        const symbols = g.symbols(r)
+        if (length <= 1) {
+          result += symbols.length === length ? 1 : 0
+          return
+        }
+        if (symbols.length === 2) {
+          for (let k = 1; k < length; k++) {
+            result += count(symbols[0], k) * count(symbols[1], length - k)
+          }
+        }
+      })
+      memo.set(key, result)
+    }
+    return memo.get(key)
+  }
+}
+
+/**
+ * prepare the uniform choice of random words of a grammar (see {@link ContextFreeGrammar#randomWord})
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Function} [random] - a function that returns random numbers in [0, 1)
+ * @returns {Function} a function that gets a length and returns a random word of this length
+ * or undefined if there is none
+ */
+
+function randomWords (g, random = Math.random) {
+  const cnf = g.toCNF()
+  const start = cnf.getStartVariable()
+  const count = treeCounts(cnf)
+
+  function sample (variable, length) {
+    if (length <= 1) {
+      const rules = cnf.variables.get(variable).rules.filter(r => cnf.symbols(r).length === length)
+      return rules[Math.floor(random() * rules.length)]
+    }
+    let x = random() * count(variable, length)
+    for (const rule of cnf.variables.get(variable).rules.filter(r => cnf.symbols(r).length === 2)) {
+      const [left, right] = cnf.symbols(rule)
+      for (let k = 1; k < length; k++) {
+        x -= count(left, k) * count(right, length - k)
+        if (x < 0) {
+          return sample(left, k) + sample(right, length - k)
+        }
+      }
+    }
+    // only reached because of rounding errors
+    return sample(variable, length)
+  }
+
+  return function (length) {
+    if (count(start, length) === 0) {
+      return undefined
+    }
+    while (true) {
+      const w = sample(start, length)
+      if (random() * cykTreeCount(cnf, w) < 1) {
+        return w
+      }
+    }
+  }
+}
+
+/**
+ * the number of parse trees of a word for a grammar in Chomsky normal form, computed
+ * with the dynamic program of the CYK algorithm
+ * @param {ContextFreeGrammar} g - a context-free grammar in Chomsky normal form
+ * @param {string} word - a word
+ * @returns {number} the number of parse trees of the word for the start variable
+ */
+
+function cykTreeCount (g, word) {
+  const start = g.getStartVariable()
+  const symbols = [...word]
+  const n = symbols.length
+  if (n === 0) {
+    return g.variables.get(start).rules.includes('') ? 1 : 0
+  }
+  // count[length - 1][i] maps each variable to the number of parse trees of the subword
+  // of the given length starting at position i
+  const count = []
+  for (let length = 1; length <= n; length++) {
+    const row = []
+    for (let i = 0; i + length <= n; i++) {
+      const counts = new Map()
+      g.variables.forEach((value, key) => {
+        let c = 0
+        value.rules.forEach(r => {
+          const rule = g.symbols(r)
+          if (length === 1 && rule.length === 1 && rule[0] === symbols[i]) {
+            c++
+          }
+          if (length > 1 && rule.length === 2) {
+            for (let k = 1; k < length; k++) {
+              c += (count[k - 1][i].get(rule[0]) || 0) * (count[length - k - 1][i + k].get(rule[1]) || 0)
+            }
+          }
+        })
+        if (c > 0) {
+          counts.set(key, c)
+        }
+      })
+      row.push(counts)
+    }
+    count.push(row)
+  }
+  return count[n - 1][0].get(start) || 0
+}
+
+/**
+ * create a grammar with the same terminals and variables as the given grammar, but without rules
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @returns {ContextFreeGrammar} a new context-free grammar without rules
+ */
+
+function withoutRules (g) {
+  const h = new ContextFreeGrammar(g.terminals.symbols.join(''))
+  g.variables.forEach((value, key) => h.addVariable(key, value.start))
+  return h
+}
+
+/**
+ * add a rule unless the variable already has this rule
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {string} variable - the left side of the rule
+ * @param {string|Array} rightSide - the right side of the rule
+ */
+
+function addUniqueRule (g, variable, rightSide) {
+  if (Array.isArray(rightSide)) {
+    rightSide = rightSide.join('')
+  }
+  if (!g.addVariable(variable).rules.includes(rightSide)) {
+    g.addRule(variable, rightSide)
+  }
+}
+
+/**
+ * checks whether a variable occurs on the right side of a rule
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {string} variable - a variable
+ * @returns {boolean} true if the variable occurs on a right side, false otherwise
+ */
+
+function occursOnRightSide (g, variable) {
+  return [...g.variables.values()].some(value => value.rules.some(r => g.symbols(r).includes(variable)))
+}
+
+/**
+ * add a new start variable with a unit rule to the old start variable
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Array} [log] - explanations of the changes are appended
+ * @returns {ContextFreeGrammar} a new equivalent grammar
+ */
+
+function addStartVariable (g, log = []) {
+  const oldStart = g.getStartVariable()
+  const h = new ContextFreeGrammar(g.terminals.symbols.join(''))
+  const start = g.newVariableName()
+  h.addVariable(start, true)
+  h.addRule(start, oldStart)
+  log.push(`add new start variable ${start} with rule ${ruleToString(start, oldStart)}`)
+  g.variables.forEach((value, key) => {
+    h.addVariable(key)
+    value.rules.forEach(r => h.addRule(key, r))
+  })
+  return h
+}
+
+/**
+ * eliminate all rules with the empty word as right side except for the start variable.
+ * For every rule all variants with omitted nullable variables are added.
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Array} [log] - explanations of the changes are appended
+ * @returns {ContextFreeGrammar} a new equivalent grammar
+ */
+
+function eliminateEmptyRules (g, log = []) {
+  const nullable = g.nullableVariables()
+  const start = g.getStartVariable()
+  const h = withoutRules(g)
+  log.push(`nullable variables: ${[...nullable].join(', ')}`)
+
+  function variants (symbols) {
+    if (symbols.length === 0) {
+      return ['']
+    }
+    const rest = variants(symbols.slice(1))
+    const result = rest.map(r => symbols[0] + r)
+    return nullable.has(symbols[0]) ? result.concat(rest) : result
+  }
+
+  g.variables.forEach((value, key) => {
+    value.rules.forEach(r => {
+      if (r === '' && key !== start) {
+        log.push(`remove ${ruleToString(key, r)}`)
+      }
+      variants(g.symbols(r)).forEach(v => {
+        if ((v !== '' || key === start) && v !== key) {
+          if (!value.rules.includes(v) && !h.variables.get(key).rules.includes(v)) {
+            log.push(`add ${ruleToString(key, v)} for ${ruleToString(key, r)}`)
+          }
+          addUniqueRule(h, key, v)
+        }
+      })
+    })
+  })
+  return h
+}
+
+/**
+ * eliminate all rules whose right side is a single variable. A variable gets
+ * all non-unit rules of the variables it derives by unit rules.
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Array} [log] - explanations of the changes are appended
+ * @returns {ContextFreeGrammar} a new equivalent grammar
+ */
+
+function eliminateUnitRules (g, log = []) {
+  const isUnitRule = r => g.symbols(r).length === 1 && !g.isTerminal(r)
+  const h = withoutRules(g)
+  g.variables.forEach((value, key) => {
+    value.rules.filter(isUnitRule).forEach(r => log.push(`remove ${ruleToString(key, r)}`))
+    const reachable = new Set([key])
+    const todo = [key]
+    while (todo.length > 0) {
+      const v = g.variables.get(todo.pop())
+      if (v === undefined) {
+        continue
+      }
+      v.rules.filter(isUnitRule).forEach(r => {
+        if (!reachable.has(r)) {
+          reachable.add(r)
+          todo.push(r)
+        }
+      })
+    }
+    reachable.forEach(v => {
+      if (g.isVariable(v)) {
+        g.variables.get(v).rules
+          .filter(r => !isUnitRule(r))
+          .forEach(r => {
+            if (v !== key && !h.variables.get(key).rules.includes(r)) {
+              log.push(`add ${ruleToString(key, r)} since ${key} derives ${v} by unit rules`)
+            }
+            addUniqueRule(h, key, r)
+          })
+      }
+    })
+  })
+  return h
+}
+
+/**
+ * remove all variables except the start variable that derive no word and all rules
+ * that contain such a variable
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Array} [log] - explanations of the changes are appended
+ * @returns {ContextFreeGrammar} a new equivalent grammar
+ */
+
+function removeNonGeneratingVariables (g, log = []) {
+  const generating = new Set(g.terminals.symbols)
+  let changed = true
+  while (changed) {
+    changed = false
+    g.variables.forEach((value, key) => {
+      if (!generating.has(key) && value.rules.some(r => g.symbols(r).every(x => generating.has(x)))) {
+        generating.add(key)
+        changed = true
+      }
+    })
+  }
+
+  const start = g.getStartVariable()
+  const h = new ContextFreeGrammar(g.terminals.symbols.join(''))
+  g.variables.forEach((value, key) => {
+    if (!generating.has(key)) {
+      log.push(`${key} derives no word`)
+      if (key !== start) {
+        log.push(`remove ${key}`)
+        return
+      }
+    }
+    h.addVariable(key, value.start)
+    value.rules.forEach(r => {
+      if (g.symbols(r).every(x => generating.has(x))) {
+        h.addRule(key, r)
+      } else {
+        log.push(`remove ${ruleToString(key, r)}`)
+      }
+    })
+  })
+  return h
+}
+
+/**
+ * remove all variables that are not reachable from the start variable
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Array} [log] - explanations of the changes are appended
+ * @returns {ContextFreeGrammar} a new equivalent grammar
+ */
+
+function removeUnreachableVariables (g, log = []) {
+  const start = g.getStartVariable()
+  const reachable = new Set([start])
+  const todo = [start]
+  while (todo.length > 0) {
+    g.variables.get(todo.pop()).rules.forEach(r => {
+      g.symbols(r).filter(x => g.isVariable(x) && !reachable.has(x)).forEach(x => {
+        reachable.add(x)
+        todo.push(x)
+      })
+    })
+  }
+
+  const h = new ContextFreeGrammar(g.terminals.symbols.join(''))
+  g.variables.forEach((value, key) => {
+    if (reachable.has(key)) {
+      h.addVariable(key, value.start)
+      value.rules.forEach(r => h.addRule(key, r))
+    } else {
+      log.push(`remove ${key}, it is not reachable from ${start}`)
+    }
+  })
+  return h
+}
+
+/**
+ * remove all variables that derive no word or are not reachable from the start variable
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Array} [log] - explanations of the changes are appended
+ * @returns {ContextFreeGrammar} a new equivalent grammar
+ */
+
+function removeUselessVariables (g, log = []) {
+  return removeUnreachableVariables(removeNonGeneratingVariables(g, log), log)
+}
+
+/**
+ * merge variables with the same set of rules, they generate the same words. The start
+ * variable is kept, otherwise the first variable of a group. Merging can make further
+ * variables equal, so it is repeated until no variables are merged.
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @returns {ContextFreeGrammar} a new equivalent grammar without duplicate rules
+ */
+
+function mergeVariablesWithEqualRules (g) {
+  const rename = new Map()
+  const byRules = new Map()
+  const variables = [...g.variables.keys()]
+  const start = g.getStartVariable()
+  ;[start].concat(variables.filter(v => v !== start)).forEach(v => {
+    const key = [...new Set(g.variables.get(v).rules)].sort().join('|')
+    if (byRules.has(key)) {
+      rename.set(v, byRules.get(key))
+    } else {
+      byRules.set(key, v)
+    }
+  })
+
+  const h = new ContextFreeGrammar(g.terminals.symbols.join(''))
+  variables.filter(v => !rename.has(v)).forEach(v => {
+    h.addVariable(v, g.variables.get(v).start)
+    g.variables.get(v).rules.forEach(r => {
+      addUniqueRule(h, v, g.symbols(r).map(x => rename.has(x) ? rename.get(x) : x))
+    })
+  })
+  return rename.size === 0 ? h : mergeVariablesWithEqualRules(h)
+}
+
+/**
+ * eliminate left recursion. The variables are ordered, rules Ai->Ajw with j < i are
+ * replaced by substituting Aj, then direct left recursion A->Au|v is replaced by
+ * A->vA' and A'->uA'|ε with a new variable A'. The grammar must have no cycles
+ * A=>+A and no rules with the empty word except for the start variable.
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @param {Array} [log] - explanations of the changes are appended
+ * @param {boolean} [emptyRules] - if false, A->v|vA' and A'->u|uA' are used instead
+ * so that no rules with the empty word are added
+ * @returns {ContextFreeGrammar} a new equivalent grammar
+ */
+
+function eliminateLeftRecursion (g, log = [], emptyRules = true) {
+  const h = g.copy()
+  const order = [...g.variables.keys()]
+  order.forEach((a, i) => {
+    const value = h.variables.get(a)
+    order.slice(0, i).forEach(b => {
+      value.rules = value.rules.reduce((rules, r) => {
+        if (h.symbols(r)[0] !== b) {
+          return rules.includes(r) ? rules : rules.concat(r)
+        }
+        const rest = h.symbols(r).slice(1).join('')
+        const substituted = h.variables.get(b).rules.map(s => s + rest)
+        log.push(`replace ${ruleToString(a, r)} by ${a}->${substituted.map(s => s === '' ? EPSILON : s).join('|')}`)
+        return rules.concat(substituted.filter(s => !rules.includes(s)))
+      }, [])
+    })
+    const isLeftRecursive = r => h.symbols(r)[0] === a
+    if (!value.rules.some(isLeftRecursive)) {
+      return
+    }
+    const tail = h.newVariableName()
+    h.addVariable(tail)
+    log.push(`eliminate direct left recursion of ${a} with new variable ${tail}`)
+    const tails = value.rules.filter(isLeftRecursive).map(r => h.symbols(r).slice(1).join(''))
+    const others = value.rules.filter(r => !isLeftRecursive(r))
+    if (emptyRules) {
+      h.variables.get(tail).rules = tails.map(r => r + tail).concat('')
+      value.rules = others.map(r => r + tail)
+    } else {
+      h.variables.get(tail).rules = tails.concat(tails.map(r => r + tail))
+      value.rules = others.concat(others.map(r => r + tail))
+    }
+  })
+  return h
+}
+
+/**
+ * replace the leading variable of each rule by its rules until all rules start with
+ * a terminal. The grammar must have no left recursion.
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @returns {ContextFreeGrammar} a new equivalent grammar
+ */
+
+function substituteLeadingVariables (g) {
+  const h = withoutRules(g)
+  const substituted = new Map()
+  function rules (variable) {
+    if (!substituted.has(variable)) {
+      substituted.set(variable, g.variables.get(variable).rules.reduce((result, r) => {
+        const [first, ...rest] = g.symbols(r)
+        const variants = g.isVariable(first) ? rules(first).map(s => s + rest.join('')) : [r]
+        return result.concat(variants.filter(v => !result.includes(v)))
+      }, []))
+    }
+    return substituted.get(variable)
+  }
+  g.variables.forEach((value, key) => rules(key).forEach(r => h.addRule(key, r)))
+  return h
+}
+
+/**
+ * replace the terminals in rules with at least two symbols by new variables
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @returns {ContextFreeGrammar} a new equivalent grammar
+ */
+
+function liftTerminals (g) {
+  const h = withoutRules(g)
+  // keeps track of the used variable names
+  const names = g.copy()
+  const terminalVariables = new Map()
+  function terminalVariable (t) {
+    if (!terminalVariables.has(t)) {
+      const v = names.newVariableName()
+      names.addVariable(v)
+      terminalVariables.set(t, v)
+    }
+    return terminalVariables.get(t)
+  }
+
+  g.variables.forEach((value, key) => {
+    value.rules.forEach(r => {
+      if (g.symbols(r).length < 2) {
+        h.addRule(key, r)
+      } else {
+        h.addRule(key, g.symbols(r).map(x => g.isTerminal(x) ? terminalVariable(x) : x))
+      }
+    })
+  })
+  terminalVariables.forEach((v, t) => h.addRule(v, t))
+  return h
+}
+
+/**
+ * split rules with more than two variables into a chain of rules with two variables.
+ * Equal tails of rules share the same new variable.
+ * @param {ContextFreeGrammar} g - a context-free grammar
+ * @returns {ContextFreeGrammar} a new equivalent grammar
+ */
+
+function binarize (g) {
+  const h = g.copy()
+  const tailVariables = new Map()
+  function tailVariable (symbols) {
+    const key = symbols.join('')
+    if (!tailVariables.has(key)) {
+      const v = h.newVariableName()
+      h.addVariable(v)
+      tailVariables.set(key, v)
+      h.addRule(v, split(symbols))
+    }
+    return tailVariables.get(key)
+  }
+  function split (symbols) {
+    return symbols.length <= 2 ? symbols : [symbols[0], tailVariable(symbols.slice(1))]
+  }
+
+  g.variables.forEach((value, key) => {
+    h.variables.get(key).rules = value.rules.map(r => split(g.symbols(r)).join(''))
+  })
+  return h
 }
 
 module.exports = ContextFreeGrammar
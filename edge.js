@@ -1,5 +1,7 @@
 /** Class representing an edge (transition) of an automaton. */
 
+const EPSILON = 'ε'
+
 class Edge {
   /**
      * create an edge.
@@ -33,6 +35,24 @@ class Edge {
     )
   }
 
+  /**
+     * the label of an epsilon edge, i.e. an edge that can be used without
+     * reading a symbol. Not to be confused with the symbol 'E' that denotes
+     * the empty word in regular expressions.
+     * @returns {string} the epsilon label
+     */
+  static get EPSILON () {
+    return EPSILON
+  }
+
+  /**
+     * checks whether the edge is an epsilon edge
+     * @returns {boolean} true if the edge is labelled with epsilon, false otherwise
+     */
+  isEpsilon () {
+    return this.symbol === EPSILON
+  }
+
   /**
      * convert edge to a string
      * @returns {string} a string representing the edge
@@ -53,6 +53,33 @@ class ExtRegularExpression extends RegularExpression {
     return ga.equivalentRE()
   }
 
+  /**
+     * Build a regular expression with the basic operations union, concatenation and star only,
+     * which describes the same language as the given regular expression. Each intersection and
+     * complement is replaced by a regular expression built from its equivalent automaton
+     * (see {@link GeneralizedAutomaton#equivalentRE}), the other parts are kept.
+     * @param {RegularExpression} r - a regular expression, possibly with intersections and complements
+     * @returns {RegularExpression} an equivalent regular expression without intersections and complements
+     */
+  static withBasicOperations (r) {
+    if (!r.hasBooleanOperations()) {
+      return r
+    }
+    switch (r.type) {
+      case RegularExpression.TYPES.STAR:
+        // the method star is hidden by the property star of a STAR node
+        return new RegularExpression(RegularExpression.TYPES.STAR, ExtRegularExpression.withBasicOperations(r.star))
+      case RegularExpression.TYPES.SUM:
+        return ExtRegularExpression.withBasicOperations(r.left)
+          .sum(ExtRegularExpression.withBasicOperations(r.right))
+      case RegularExpression.TYPES.CONCAT:
+        return ExtRegularExpression.withBasicOperations(r.left)
+          .concat(ExtRegularExpression.withBasicOperations(r.right))
+      default:
+        return ExtRegularExpression.fromAutomaton(r.equivalentAutomaton)
+    }
+  }
+
   /**
      * convert a string to a regular expression
      * @param {string} reString - string representation of regular expression, allowed symbols: a-z
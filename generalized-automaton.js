@@ -66,18 +66,73 @@ class GeneralizedAutomaton extends Automaton {
   }
 
   /**
+     * create a copy of the generalized automaton
+     * @returns {GeneralizedAutomaton} a new generalized automaton with the same states and edges
+     */
+  copy () {
+    const a = this
+    const ac = new GeneralizedAutomaton(a.name)
+    a.states.forEach(s => ac.addState(s.name, s.start, s.final))
+    a.edges.forEach(e => ac.addEdge(e.source.name, e.sink.name, e.re))
+    return ac
+  }
+
+  /**
+     * choose the next state to be eliminated
+     * @param {string|Array} order - the elimination strategy (see {@link GeneralizedAutomaton#equivalentRE})
+     * @returns {State} a state that is neither start nor final state
+     */
+  nextStateToEliminate (order) {
+    const a = this
+    const candidates = [...a.states].filter(s => !s.start && !s.final)
+    if (Array.isArray(order)) {
+      const name = order.find(name => candidates.some(s => s.name === name))
+      return name === undefined ? candidates[0] : a.getStateByName(name)
+    }
+    if (order === 'edges' || order === 'weight') {
+      const cost = order === 'edges' ? edgesCost : weight
+      return candidates.reduce((best, s) => cost(s) < cost(best) ? s : best)
+    }
+    return candidates[0]
+  }
+
+  /**
+     * determine a regular expression by eliminating the states of the automaton except for the
+     * start and the final state. The automaton is changed. The order of elimination influences
+     * the size of the regular expression.
+     * @param {string|Array} [order] - the elimination strategy: states (in the order of the set
+     * of states), edges (a state with the fewest pairs of incoming and outgoing edges first),
+     * weight (a state with the smallest weight first, the weight estimates the growth of the
+     * regular expressions as proposed by Delgado and Morais) or an array of state names (in the
+     * given order, states that are not contained are eliminated afterwards)
+     * @param {Array} [steps] - if given, the generalized automaton at the beginning and after each
+     * elimination is appended as { description, automaton }
      * @returns {RegularExpression} an regular expression that describes the accepted language
      * of the automaton.
      */
-  equivalentRE () {
+  equivalentRE (order = 'states', steps) {
     const a = this
 
+    if (!Array.isArray(order) && !['states', 'edges', 'weight'].includes(order)) {
+      throw new Error(`equivalentRE: unknown order ${order}`)
+    }
+    if (Array.isArray(order)) {
+      order.forEach(name => {
+        const s = a.getStateByName(name)
+        if (s === undefined || s.start || s.final) {
+          throw new Error(`equivalentRE: ${name} is not a state that can be eliminated`)
+        }
+      })
+    }
     if (a.isEmpty()) {
       return RegularExpression.empty()
     }
+    if (steps !== undefined) {
+      steps.push({ description: 'generalized automaton', automaton: a.copy() })
+    }
 
     while (a.states.size > 2) {
-      const removeState = [...a.states].find(s => !s.start && !s.final)
+      const removeState = a.nextStateToEliminate(order)
       let loopRE
       for (const edgeIn of removeState.edgesIn) {
         if (edgeIn.source === edgeIn.sink) {
@@ -112,6 +167,9 @@ class GeneralizedAutomaton extends Automaton {
         }
       }
       a.deleteState(removeState)
+      if (steps !== undefined) {
+        steps.push({ description: `eliminate state ${removeState.name}`, automaton: a.copy() })
+      }
     }
     if (a.edges.size === 0) {
       return new RegularExpression(0)
@@ -121,4 +179,63 @@ class GeneralizedAutomaton extends Automaton {
   }
 }
 
+/**
+ * the edges of a state without loops
+ * @param {State} s - a state
+ * @returns {Object} { edgesIn, edgesOut, loops } arrays of edges
+ */
+function edgesOf (s) {
+  return {
+    edgesIn: [...s.edgesIn].filter(e => e.source !== s),
+    edgesOut: [...s.edgesOut].filter(e => e.sink !== s),
+    loops: [...s.edgesOut].filter(e => e.sink === s)
+  }
+}
+
+/**
+ * the number of new edges when a state is eliminated
+ * @param {State} s - a state
+ * @returns {number} the product of the numbers of incoming and outgoing edges without loops
+ */
+function edgesCost (s) {
+  const edges = edgesOf(s)
+  return edges.edgesIn.length * edges.edgesOut.length
+}
+
+/**
+ * the number of occurrences of alphabet symbols in a regular expression
+ * @param {RegularExpression} r - a regular expression
+ * @returns {number} the number of symbols
+ */
+function symbolCount (r) {
+  const types = RegularExpression.TYPES
+  switch (r.type) {
+    case types.WORD:
+      return r.word.length
+    case types.STAR:
+      return symbolCount(r.star)
+    case types.COMPLEMENT:
+      return symbolCount(r.operand)
+    case types.EMPTY:
+      return 0
+    default:
+      return symbolCount(r.left) + symbolCount(r.right)
+  }
+}
+
+/**
+ * the weight of a state: the change of the number of symbols in the regular expressions of
+ * the automaton when the state is eliminated (Delgado and Morais, Approximation to the
+ * smallest regular expression for a given regular language, 2004)
+ * @param {State} s - a state
+ * @returns {number} the weight
+ */
+function weight (s) {
+  const edges = edgesOf(s)
+  const nIn = edges.edgesIn.length
+  const nOut = edges.edgesOut.length
+  const sum = list => list.reduce((total, e) => total + symbolCount(e.re), 0)
+  return sum(edges.edgesIn) * (nOut - 1) + sum(edges.edgesOut) * (nIn - 1) + sum(edges.loops) * (nIn * nOut - 1)
+}
+
 module.exports = GeneralizedAutomaton
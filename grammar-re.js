@@ -1,15 +1,48 @@
-// Generated automatically by nearley
+// Generated automatically by nearley, version 2.20.1
 // http://github.com/Hardmath123/nearley
 (function () {
-function id(x) {return x[0]; }
+function id(x) { return x[0]; }
 
 const Rex = require('./regexp')
+// the symbols matched by SYMBOL in alphabet order
+const SYMBOLS = 'abcdefghijklmnopqrstuvwxyz'
 var grammar = {
     Lexer: undefined,
     ParserRules: [
     {"name": "S", "symbols": ["AS"], "postprocess": id},
     {"name": "P", "symbols": [{"literal":"("}, "AS", {"literal":")"}], "postprocess": d => d[1]},
-    {"name": "E", "symbols": ["P", {"literal":"*"}], "postprocess": d => ( {type: 'STAR', d: d[0], v: d[0].v.star() })},
+    {"name": "P$ebnf$1", "symbols": ["RANGE"]},
+    {"name": "P$ebnf$1", "symbols": ["P$ebnf$1", "RANGE"], "postprocess": function arrpush(d) {return d[0].concat([d[1]]);}},
+    {"name": "P", "symbols": [{"literal":"["}, "P$ebnf$1", {"literal":"]"}], "postprocess": d => {
+           let re = d[1][0].v
+           for (let i=1; i<d[1].length; i++) {
+               re = re.sum(d[1][i].v)
+           }
+           return { type: 'CLASS', d: d[1], v: re }
+        } },
+    {"name": "RANGE", "symbols": ["SYMBOL"], "postprocess": id},
+    {"name": "RANGE", "symbols": ["SYMBOL", {"literal":"-"}, "SYMBOL"], "postprocess": (d, l, reject) => {
+           const range = Rex.symbolRange(d[0].d, d[2].d, SYMBOLS)
+           if (range === undefined) {
+               return reject
+           }
+           let re = new Rex(range[0])
+           for (let i=1; i<range.length; i++) {
+               re = re.sum(new Rex(range[i]))
+           }
+           return { type: 'RANGE', d: [d[0], d[2]], v: re }
+        } },
+    {"name": "E", "symbols": ["P", "POSTFIX"], "postprocess": d => ( {type: d[1].type, d: d[0], v: d[1].apply(d[0].v) })},
+    {"name": "E", "symbols": ["E", "POSTFIX"], "postprocess": d => ( {type: d[1].type, d: d[0], v: d[1].apply(d[0].v) })},
+    {"name": "POSTFIX", "symbols": [{"literal":"*"}], "postprocess": d => ({ type: 'STAR', apply: r => Rex.prototype.star.call(r) })},
+    {"name": "POSTFIX", "symbols": [{"literal":"?"}], "postprocess": d => ({ type: 'OPTIONAL', apply: r => r.optional() })},
+    {"name": "POSTFIX", "symbols": [{"literal":"⁺"}], "postprocess": d => ({ type: 'PLUS', apply: r => r.plus() })},
+    {"name": "POSTFIX", "symbols": [{"literal":"{"}, "NUMBER", {"literal":"}"}], "postprocess": d => ({ type: 'REPEAT', apply: r => r.repeat(d[1]) })},
+    {"name": "POSTFIX", "symbols": [{"literal":"{"}, "NUMBER", {"literal":","}, "NUMBER", {"literal":"}"}], "postprocess": (d, l, reject) => d[3] < d[1] ? reject : ({ type: 'REPEAT', apply: r => r.repeat(d[1], d[3]) })},
+    {"name": "POSTFIX", "symbols": [{"literal":"{"}, "NUMBER", {"literal":","}, {"literal":"}"}], "postprocess": d => ({ type: 'REPEAT', apply: r => r.repeat(d[1], Infinity) })},
+    {"name": "NUMBER$ebnf$1", "symbols": [/[0-9]/]},
+    {"name": "NUMBER$ebnf$1", "symbols": ["NUMBER$ebnf$1", /[0-9]/], "postprocess": function arrpush(d) {return d[0].concat([d[1]]);}},
+    {"name": "NUMBER", "symbols": ["NUMBER$ebnf$1"], "postprocess": d => parseInt(d[0].join(''))},
     {"name": "F", "symbols": ["P"], "postprocess": id},
     {"name": "F", "symbols": ["W"], "postprocess": id},
     {"name": "F", "symbols": ["E"], "postprocess": id},
@@ -18,7 +51,9 @@ var grammar = {
            return { type: 'CONCAT', d: d, v: re }
         } },
     {"name": "MD", "symbols": ["F"], "postprocess": id},
-    {"name": "AS", "symbols": ["AS", {"literal":"+"}, "MD"], "postprocess": d => ({ type: 'SUM', d: [d[0], d[2]], v: d[0].v.sum(d[2].v) })},
+    {"name": "AS$subexpression$1", "symbols": [{"literal":"+"}]},
+    {"name": "AS$subexpression$1", "symbols": [{"literal":"|"}]},
+    {"name": "AS", "symbols": ["AS", "AS$subexpression$1", "MD"], "postprocess": d => ({ type: 'SUM', d: [d[0], d[2]], v: d[0].v.sum(d[2].v) })},
     {"name": "AS", "symbols": ["MD"], "postprocess": id},
     {"name": "W$ebnf$1$subexpression$1", "symbols": ["SYMBOL"]},
     {"name": "W$ebnf$1$subexpression$1", "symbols": ["SSYMBOL"]},
@@ -35,7 +70,8 @@ var grammar = {
         } },
     {"name": "W", "symbols": [{"literal":"E"}], "postprocess": d => ({type: 'EPS', v: new Rex('')})},
     {"name": "SYMBOL", "symbols": [/[a-z]/], "postprocess": d => ({ type: 'C', d: d[0], v: new Rex(d[0]) })},
-    {"name": "SSYMBOL", "symbols": ["SYMBOL", {"literal":"*"}], "postprocess": d => ( {type: 'STAR', d: d[0], v: new Rex(d[0].d).star() })}
+    {"name": "SSYMBOL", "symbols": ["SYMBOL", "POSTFIX"], "postprocess": d => ( {type: d[1].type, d: d[0], v: d[1].apply(new Rex(d[0].d)) })},
+    {"name": "SSYMBOL", "symbols": ["SSYMBOL", "POSTFIX"], "postprocess": d => ( {type: d[1].type, d: d[0].d, v: d[1].apply(d[0].v) })}
 ]
   , ParserStart: "S"
 }
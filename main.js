@@ -3,11 +3,17 @@ const RegularExpression = require('./regexp')
 const Alphabet = require('./alphabet')
 const Vector = require('./vector')
 const Sample = require('./sample-automata')
+const ContextFreeGrammar = require('./cf-grammar')
+const PushdownAutomaton = require('./pushdown-automaton')
+const TuringMachine = require('./turing-machine')
 
 module.exports = {
   Automaton,
   RegularExpression,
   Alphabet,
   Vector,
-  Sample
+  Sample,
+  ContextFreeGrammar,
+  PushdownAutomaton,
+  TuringMachine
 }
@@ -0,0 +1,157 @@
+const EPSILON = 'ε'
+
+/** Class representing a parse tree (derivation tree) of a context-free grammar. */
+class ParseTree {
+  /**
+     * create a parse tree
+     * @param {string} symbol - the variable or terminal at the root
+     * @param {Array} [children] - the subtrees. Empty for a terminal. A variable
+     * with a rule for the empty word has a single child {@link ParseTree.EPSILON}.
+     * @returns {ParseTree} a new parse tree
+     */
+  constructor (symbol, children = []) {
+    this.symbol = symbol
+    this.children = children
+  }
+
+  /**
+     * the symbol of a leaf that stands for the empty word
+     * @returns {string} the epsilon symbol
+     */
+  static get EPSILON () {
+    return EPSILON
+  }
+
+  /**
+     * checks whether the tree is a leaf
+     * @returns {boolean} true if the tree has no children, false otherwise
+     */
+  isLeaf () {
+    return this.children.length === 0
+  }
+
+  /**
+     * the yield of the tree, i.e. the word that is derived
+     * @returns {string} the concatenation of the leaves without epsilon leaves
+     */
+  word () {
+    if (this.isLeaf()) {
+      return this.symbol === EPSILON ? '' : this.symbol
+    }
+    return this.children.map(c => c.word()).join('')
+  }
+
+  /**
+     * the right side of the rule applied at the root
+     * @returns {string} the symbols of the children, the empty string for an epsilon rule
+     */
+  rule () {
+    return this.children.map(c => c.symbol === EPSILON ? '' : c.symbol).join('')
+  }
+
+  /**
+     * the sentential forms of the leftmost derivation that corresponds to the tree
+     * @returns {Array} the sentential forms, starting with the root symbol and ending with the word
+     */
+  leftmostDerivation () {
+    return this.derivation(frontier => frontier.findIndex(t => !t.isLeaf()))
+  }
+
+  /**
+     * the sentential forms of the rightmost derivation that corresponds to the tree
+     * @returns {Array} the sentential forms, starting with the root symbol and ending with the word
+     */
+  rightmostDerivation () {
+    return this.derivation(frontier => {
+      for (let i = frontier.length - 1; i >= 0; i--) {
+        if (!frontier[i].isLeaf()) {
+          return i
+        }
+      }
+      return -1
+    })
+  }
+
+  /**
+     * the sentential forms of a derivation that corresponds to the tree. In each step
+     * the chosen variable is replaced by the right side of its rule.
+     * @param {Function} choose - gets the current frontier of subtrees and returns the
+     * index of the subtree to expand or -1 if all subtrees are leaves
+     * @returns {Array} the sentential forms
+     */
+  derivation (choose) {
+    let frontier = [this]
+    const form = () => frontier.filter(t => t.symbol !== EPSILON).map(t => t.symbol).join('')
+    const forms = [form()]
+    let i
+    while ((i = choose(frontier)) !== -1) {
+      frontier = frontier.slice(0, i).concat(frontier[i].children, frontier.slice(i + 1))
+      forms.push(form())
+    }
+    return forms
+  }
+
+  /**
+     * convert a derivation to a string
+     * @param {Array} derivation - the sentential forms
+     * @returns {string} the derivation, e.g. S => aSb => aabb
+     */
+  static derivationToString (derivation) {
+    return derivation.map(f => f === '' ? EPSILON : f).join(' => ')
+  }
+
+  /**
+     * convert a derivation to LaTeX
+     * @param {Array} derivation - the sentential forms
+     * @returns {string} the derivation in LaTeX
+     */
+  static derivationToLatex (derivation) {
+    return '\\[\n' + derivation.map(f => f === '' ? '\\varepsilon' : f).join(' \\Rightarrow ') + '\n\\]'
+  }
+
+  /**
+     * convert the tree to JSON format
+     * @returns {string} a JSON representation of the tree. Leaves have no children property.
+     */
+  toJSON () {
+    const plain = t => t.isLeaf() ? { symbol: t.symbol } : { symbol: t.symbol, children: t.children.map(plain) }
+    return JSON.stringify(plain(this))
+  }
+
+  /**
+     * convert the tree to Tikz format
+     * @returns {string} a Tikz representation of the tree
+     */
+  toTikz () {
+    const label = t => t.symbol === EPSILON ? '{$\\varepsilon$}' : `{$${t.symbol}$}`
+    const leaves = t => t.isLeaf() ? 1 : t.children.reduce((sum, c) => sum + leaves(c), 0)
+    function node (t, indent) {
+      let s = `node ${label(t)}`
+      if (!t.isLeaf()) {
+        const distance = Math.max(...t.children.map(leaves))
+        s += ` [sibling distance=${distance}cm]`
+        t.children.forEach(c => {
+          s += `\n${indent}child {${node(c, indent + '  ')}}`
+        })
+      }
+      return s
+    }
+    let s = '\\begin{tikzpicture}[level distance=1.2cm]\n'
+    s += '\\' + node(this, '  ') + ';\n'
+    s += '\\end{tikzpicture}'
+    return s
+  }
+
+  /**
+     * convert the tree to a string in bracket notation, e.g. S(a S(a b) b)
+     * @returns {string} a string representing the tree
+     */
+  toString () {
+    if (this.isLeaf()) {
+      return this.symbol
+    }
+    return this.symbol + '(' + this.children.map(c => c.toString()).join(' ') + ')'
+  }
+}
+
+module.exports = ParseTree
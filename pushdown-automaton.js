@@ -0,0 +1,587 @@
+require('./extendSet')
+const State = require('./state')
+const Edge = require('./edge')
+const PushdownEdge = require('./pushdown-edge')
+const Alphabet = require('./alphabet')
+const ContextFreeGrammar = require('./cf-grammar')
+
+const FINAL_STATE = 'final state'
+const EMPTY_STACK = 'empty stack'
+const MAX_CONFIGURATIONS = 10000
+// candidates for new stack symbols, e.g. for a new bottom of the stack
+const NEW_STACK_SYMBOLS = '⊥#$%&@'
+
+/** Class representing a (nondeterministic) pushdown automaton. */
+class PushdownAutomaton {
+  /**
+     * Create a pushdown automaton.
+     * @param {string} [name] - the name of the pushdown automaton.
+     * @param {string} [symbols] - the symbols of the input alphabet.
+     * @param {string} [stackSymbols] - the symbols of the stack alphabet.
+     * @param {string} [startStackSymbol] - the symbol on the stack at the beginning.
+     * Defaults to the first stack symbol.
+     * @param {string} [acceptance] - {@link PushdownAutomaton.FINAL_STATE} or
+     * {@link PushdownAutomaton.EMPTY_STACK}
+     * @returns {PushdownAutomaton} new pushdown automaton
+     */
+
+  constructor (name = 'P', symbols = 'ab', stackSymbols = 'Z', startStackSymbol = [...stackSymbols][0], acceptance = FINAL_STATE) {
+    const p = this
+    p.name = name
+    p.states = new Set()
+    p.stateNameMap = new Map()
+    p.alphabet = new Alphabet(symbols)
+    p.stackAlphabet = new Alphabet(stackSymbols)
+    p.startStackSymbol = startStackSymbol
+    p.acceptance = acceptance
+    p.edges = new Set()
+  }
+
+  /**
+     * acceptance by final state: a word is accepted if a final state is reached
+     * after reading the whole word
+     * @returns {string} the name of the acceptance mode
+     */
+  static get FINAL_STATE () {
+    return FINAL_STATE
+  }
+
+  /**
+     * acceptance by empty stack: a word is accepted if the stack is empty
+     * after reading the whole word
+     * @returns {string} the name of the acceptance mode
+     */
+  static get EMPTY_STACK () {
+    return EMPTY_STACK
+  }
+
+  /**
+     * get a state.
+     * @param {string} name - the name of a state.
+     * @returns {State} the state with the given name or undefined when
+     * there is no state with the given name
+     */
+
+  getStateByName (name) {
+    return this.stateNameMap.get(name)
+  }
+
+  /**
+     * get a state
+     * @param {State|string} s - the name of the state or the state object
+     * @returns {State} the corrsponding state or undefined
+     */
+
+  getState (s) {
+    if (typeof s === 'string') {
+      return this.stateNameMap.get(s)
+    } else if (s instanceof State) {
+      return s
+    } else {
+      return undefined
+    }
+  }
+
+  /**
+     * add a state.
+     * @param {string} name - the name of the state.
+     * @param {boolean} [start] - true for a start state.
+     * @param {boolean} [final] - true for an accepting state.
+     * @param {object} [tag] - any additional information the state object should carry
+     * @param {boolean} [forceNew] - adds the state with the given name even when a state with the same name already exists.
+     * @returns {State} the new state or when forceNew is false and a state with
+     * the given name already exists the existing state
+     */
+
+  addState (name, start = false, final = false, tag = {}, forceNew = false) {
+    const p = this
+    if (forceNew) {
+      while (p.getStateByName(name) !== undefined) {
+        name += 'x'
+      }
+    }
+    let s = p.getStateByName(name)
+    if (s !== undefined) {
+      return s
+    }
+    s = new State(name, start, final, tag)
+    s.automaton = p
+    p.states.add(s)
+    p.stateNameMap.set(name, s)
+    return s
+  }
+
+  /**
+     * get all start states
+     * @returns {Set} a set of start states
+     */
+
+  getStartStates () {
+    return new Set([...this.states].filter(s => s.start))
+  }
+
+  /**
+     * get all final states
+     * @returns {Set} a set of final states
+     */
+
+  getFinalStates () {
+    return new Set([...this.states].filter(s => s.final))
+  }
+
+  /**
+     * get an edge
+     * @param {State|string} from - the state where the edge starts
+     * @param {State|string} to - the state where the edge ends
+     * @param {string} symbol - the input symbol or {@link Edge.EPSILON}
+     * @param {string} pop - the stack symbol that is popped
+     * @param {string|Array} push - the stack symbols that are pushed, top of stack first
+     * @returns {PushdownEdge} the corresponding edge or undefined if it doesn't exist
+     */
+
+  getEdge (from, to, symbol, pop, push) {
+    from = this.getState(from)
+    to = this.getState(to)
+    push = [...push].join(' ')
+    for (const e of from.edgesOut) {
+      if (e.sink === to && e.symbol === symbol && e.pop === pop && e.push.join(' ') === push) {
+        return e
+      }
+    }
+    return undefined
+  }
+
+  /**
+     * add an edge. The edge can be used if the input symbol is read (no symbol
+     * for {@link Edge.EPSILON}) and the top of the stack is the given pop symbol.
+     * The pop symbol is replaced by the push symbols.
+     * @param {State|string} from - the state where the edge starts
+     * @param {State|string} to - the state where the edge ends
+     * @param {string} symbol - the input symbol or {@link Edge.EPSILON}
+     * @param {string} pop - the stack symbol that is popped
+     * @param {string|Array} [push] - the stack symbols that are pushed, top of stack first
+     * @returns {PushdownEdge} the corresponding edge. When the edge already exists the
+     * existing edge is returned. Otherwise a new edge will be created and returned.
+     */
+
+  addEdge (from, to, symbol, pop, push = '') {
+    const p = this
+    from = p.getState(from)
+    to = p.getState(to)
+    push = [...push]
+    if (symbol !== Edge.EPSILON && !p.alphabet.symbols.includes(symbol)) {
+      throw new Error(`addEdge: ${symbol} is not an input symbol`)
+    }
+    for (const X of [pop, ...push]) {
+      if (!p.stackAlphabet.symbols.includes(X)) {
+        throw new Error(`addEdge: ${X} is not a stack symbol`)
+      }
+    }
+    let e = p.getEdge(from, to, symbol, pop, push)
+    if (e !== undefined) {
+      return e
+    }
+    e = new PushdownEdge(from, to, symbol, pop, push)
+    p.edges.add(e)
+    e.source.addEdgeOut(e)
+    e.sink.addEdgeIn(e)
+    return e
+  }
+
+  /**
+     * delete an edge
+     * @param {PushdownEdge} e - an existing edge
+     */
+
+  deleteEdge (e) {
+    this.edges.delete(e)
+    e.source.edgesOut.delete(e)
+    e.sink.edgesIn.delete(e)
+  }
+
+  /**
+     * checks whether the pushdown automaton is empty (i.e. has no states)
+     * @returns {boolean} true if empty, false otherwise
+     */
+
+  isEmpty () {
+    return this.states.size === 0
+  }
+
+  /**
+     * search an accepting computation for the given word. The configurations are
+     * explored in breadth first order, so a shortest accepting computation is found.
+     * Because a pushdown automaton can run forever on epsilon edges the number of
+     * explored configurations is limited. For acceptance by empty stack, configurations
+     * are left out whose stack can't be emptied with the remaining input.
+     * @param {string} word - an input word
+     * @param {number} [maxConfigurations] - the maximal number of configurations to explore
+     * @returns {Array} the configurations of an accepting computation or undefined if there is
+     * none. Each configuration is an object { state, input, stack }
+     * with the name of the state, the remaining input and the stack (top of stack first).
+     * @throws {Error} if the limit is reached before the search is decided
+     */
+
+  computation (word, maxConfigurations = MAX_CONFIGURATIONS) {
+    const p = this
+    const input = [...word]
+    const key = c => c.state.name + '|' + c.position + '|' + c.stack.join(' ')
+    const minInput = p.acceptance === EMPTY_STACK ? minimalInputToPop(p) : undefined
+    const canEmpty = c => minInput === undefined ||
+      c.stack.reduce((sum, X) => sum + minInput.get(X), 0) <= input.length - c.position
+
+    const queue = [...p.getStartStates()].map(s => {
+      return { state: s, position: 0, stack: [p.startStackSymbol] }
+    })
+    const visited = new Set(queue.map(key))
+    let head = 0
+    while (head < queue.length && head < maxConfigurations) {
+      const c = queue[head++]
+      if (c.position === input.length &&
+        (p.acceptance === EMPTY_STACK ? c.stack.length === 0 : c.state.final)) {
+        const configurations = []
+        for (let cc = c; cc !== undefined; cc = cc.previous) {
+          configurations.unshift({
+            state: cc.state.name,
+            input: input.slice(cc.position).join(''),
+            stack: cc.stack.join('')
+          })
+        }
+        return configurations
+      }
+      if (c.stack.length === 0) {
+        continue
+      }
+      for (const e of c.state.edgesOut) {
+        if (e.pop !== c.stack[0]) {
+          continue
+        }
+        let position = c.position
+        if (!e.isEpsilon()) {
+          if (input[position] !== e.symbol) {
+            continue
+          }
+          position++
+        }
+        const next = {
+          state: e.sink,
+          position: position,
+          stack: e.push.concat(c.stack.slice(1)),
+          previous: c
+        }
+        const k = key(next)
+        if (!visited.has(k) && canEmpty(next)) {
+          visited.add(k)
+          queue.push(next)
+        }
+      }
+    }
+    if (head < queue.length) {
+      throw new Error(`computation: no decision for ${word} within ${maxConfigurations} configurations`)
+    }
+    return undefined
+  }
+
+  /**
+     * determines whether a word is accepted or not (see {@link PushdownAutomaton#computation})
+     * @param {string} word - an input word
+     * @param {number} [maxConfigurations] - the maximal number of configurations to explore
+     * @returns {boolean} true when the word is accepted, false otherwise
+     * @throws {Error} if the limit is reached before the search is decided
+     */
+
+  accepts (word, maxConfigurations = MAX_CONFIGURATIONS) {
+    return this.computation(word, maxConfigurations) !== undefined
+  }
+
+  /**
+     * convert a configuration to a string
+     * @param {Object} c - a configuration as returned by {@link PushdownAutomaton#computation}
+     * @returns {string} the configuration in the form (state, input, stack)
+     */
+
+  static configurationToString (c) {
+    return `(${c.state}, ${c.input === '' ? Edge.EPSILON : c.input}, ${c.stack === '' ? Edge.EPSILON : c.stack})`
+  }
+
+  /**
+     * create a copy of the pushdown automaton
+     * @returns {PushdownAutomaton} a new pushdown automaton that is a copy of the given one.
+     */
+
+  copy () {
+    const p = this
+    const pc = new PushdownAutomaton('copy of ' + p.name, p.alphabet.symbols,
+      p.stackAlphabet.symbols, p.startStackSymbol, p.acceptance)
+    p.states.forEach(s => pc.addState(s.name, s.start, s.final, s.tag))
+    p.edges.forEach(e => pc.addEdge(e.source.name, e.sink.name, e.symbol, e.pop, e.push))
+    return pc
+  }
+
+  /**
+     * construct an equivalent pushdown automaton that accepts by empty stack.
+     * A new bottom symbol prevents the stack from getting empty unintentionally.
+     * From every final state the stack can be emptied.
+     * @returns {PushdownAutomaton} a new pushdown automaton accepting by empty stack
+     */
+
+  toEmptyStack () {
+    const p = this
+    if (p.acceptance === EMPTY_STACK) {
+      return p.copy()
+    }
+    const bottom = newStackSymbol(p)
+    const stackSymbols = p.stackAlphabet.symbols.concat(bottom)
+    const pe = new PushdownAutomaton('empty stack ' + p.name, p.alphabet.symbols,
+      stackSymbols, bottom, EMPTY_STACK)
+    p.states.forEach(s => pe.addState(s.name, false, false, s.tag))
+    const start = pe.addState('start', true, false, {}, true)
+    const empty = pe.addState('empty', false, false, {}, true)
+
+    p.getStartStates().forEach(s => pe.addEdge(start, s.name, Edge.EPSILON, bottom, [p.startStackSymbol, bottom]))
+    p.edges.forEach(e => pe.addEdge(e.source.name, e.sink.name, e.symbol, e.pop, e.push))
+    p.getFinalStates().forEach(f => {
+      stackSymbols.forEach(X => pe.addEdge(f.name, empty, Edge.EPSILON, X))
+    })
+    stackSymbols.forEach(X => pe.addEdge(empty, empty, Edge.EPSILON, X))
+    return pe
+  }
+
+  /**
+     * construct an equivalent pushdown automaton that accepts by final state.
+     * A new bottom symbol is used to detect an empty stack of the given automaton.
+     * @returns {PushdownAutomaton} a new pushdown automaton accepting by final state
+     */
+
+  toFinalState () {
+    const p = this
+    if (p.acceptance === FINAL_STATE) {
+      return p.copy()
+    }
+    const bottom = newStackSymbol(p)
+    const pf = new PushdownAutomaton('final state ' + p.name, p.alphabet.symbols,
+      p.stackAlphabet.symbols.concat(bottom), bottom, FINAL_STATE)
+    p.states.forEach(s => pf.addState(s.name, false, false, s.tag))
+    const start = pf.addState('start', true, false, {}, true)
+    const final = pf.addState('final', false, true, {}, true)
+
+    p.getStartStates().forEach(s => pf.addEdge(start, s.name, Edge.EPSILON, bottom, [p.startStackSymbol, bottom]))
+    p.edges.forEach(e => pf.addEdge(e.source.name, e.sink.name, e.symbol, e.pop, e.push))
+    p.states.forEach(s => pf.addEdge(s.name, final, Edge.EPSILON, bottom))
+    return pf
+  }
+
+  /**
+     * construct an equivalent context-free grammar. The automaton is converted to
+     * acceptance by empty stack first. Then the triple construction is used: the variable [q,X,r]
+     * derives exactly the words that lead from state q to state r while X is removed from the stack.
+     * Only useful variables are kept. The variables are renamed to single letters, the original
+     * triples are stored in the property triple of the variables.
+     * @returns {ContextFreeGrammar} a new context-free grammar
+     */
+
+  toContextFreeGrammar () {
+    const p = this.toEmptyStack()
+    const START = '[start]'
+    const isVariable = x => x.length > 1 && x.startsWith('[')
+    const triple = (q, X, r) => `[${q.name},${X},${r.name}]`
+    const states = [...p.states]
+
+    const rules = new Map()
+    function addRule (variable, rightSide) {
+      if (!rules.has(variable)) {
+        rules.set(variable, [])
+      }
+      rules.get(variable).push(rightSide)
+    }
+    // all sequences of states with the given length
+    function stateSequences (length) {
+      if (length === 0) {
+        return [[]]
+      }
+      const result = []
+      stateSequences(length - 1).forEach(seq => {
+        states.forEach(s => result.push(seq.concat(s)))
+      })
+      return result
+    }
+
+    p.getStartStates().forEach(q0 => {
+      states.forEach(r => addRule(START, [triple(q0, p.startStackSymbol, r)]))
+    })
+    p.edges.forEach(e => {
+      const prefix = e.isEpsilon() ? [] : [e.symbol]
+      if (e.push.length === 0) {
+        addRule(triple(e.source, e.pop, e.sink), prefix)
+        return
+      }
+      stateSequences(e.push.length).forEach(seq => {
+        const rightSide = prefix.concat(e.push.map((Y, i) => triple(i === 0 ? e.sink : seq[i - 1], Y, seq[i])))
+        addRule(triple(e.source, e.pop, seq[seq.length - 1]), rightSide)
+      })
+    })
+
+    // keep only generating and reachable variables
+    const generating = new Set()
+    let changed = true
+    while (changed) {
+      changed = false
+      for (const [variable, rightSides] of rules) {
+        if (!generating.has(variable) &&
+          rightSides.some(rs => rs.every(x => !isVariable(x) || generating.has(x)))) {
+          generating.add(variable)
+          changed = true
+        }
+      }
+    }
+
+    const g = new ContextFreeGrammar(p.alphabet.symbols.join(''))
+    g.addVariable('S', true).triple = START
+    if (!generating.has(START)) {
+      return g
+    }
+    const names = new Map([[START, 'S']])
+    const todo = [START]
+    while (todo.length > 0) {
+      const variable = todo.shift()
+      rules.get(variable)
+        .filter(rs => rs.every(x => !isVariable(x) || generating.has(x)))
+        .forEach(rs => {
+          rs.filter(isVariable).forEach(x => {
+            if (!names.has(x)) {
+              names.set(x, g.newVariableName())
+              g.addVariable(names.get(x)).triple = x
+              todo.push(x)
+            }
+          })
+          const rightSide = rs.map(x => isVariable(x) ? names.get(x) : x)
+          const v = g.variables.get(names.get(variable))
+          if (!v.rules.includes(rightSide.join(''))) {
+            g.addRule(names.get(variable), rightSide)
+          }
+        })
+    }
+    return g
+  }
+
+  /**
+     * construct a pushdown automaton with a single state that accepts the language of a
+     * context-free grammar by empty stack. The stack initially contains the start variable.
+     * A variable on top of the stack is replaced by the right side of one of its rules,
+     * a terminal on top of the stack is matched against the next input symbol.
+     * @param {ContextFreeGrammar} g - a context-free grammar
+     * @returns {PushdownAutomaton} a new pushdown automaton
+     */
+
+  static fromContextFreeGrammar (g) {
+    const stackSymbols = new Set([...g.variables.keys(), ...g.terminals.symbols])
+    g.variables.forEach(value => value.rules.forEach(r => g.symbols(r).forEach(x => stackSymbols.add(x))))
+    const p = new PushdownAutomaton('pushdown automaton of grammar', g.terminals.symbols,
+      [...stackSymbols], g.getStartVariable(), EMPTY_STACK)
+    const q = p.addState('q', true)
+    g.variables.forEach((value, key) => {
+      value.rules.forEach(r => p.addEdge(q, q, Edge.EPSILON, key, g.symbols(r)))
+    })
+    g.terminals.symbols.forEach(a => p.addEdge(q, q, a, a))
+    return p
+  }
+
+  /**
+     * convert the pushdown automaton to a string
+     * @return {string} a string representing the pushdown automaton
+     */
+
+  toString () {
+    const p = this
+    let s = ''
+    const nl = '\n'
+    s += p.name + nl
+    s += 'symbols: ' + p.alphabet.symbols.join(',') + nl
+    s += 'stack symbols: ' + p.stackAlphabet.symbols.join(',') + nl
+    s += 'start stack symbol: ' + p.startStackSymbol + nl
+    s += 'acceptance: ' + p.acceptance + nl
+
+    s += 'states: ' + [...p.states].map(s => s.toString()).join(nl) + nl
+    s += 'edges:' + nl + [...p.edges].map(e => e.name).join(nl) + nl
+
+    return s
+  }
+
+  /**
+     * convert pushdown automaton to JSON format
+     * @returns {string} a JSON representation of the pushdown automaton.
+     */
+
+  toJSON () {
+    const p = this
+    const header =
+            `"stackSymbols": "${p.stackAlphabet.symbols.join('')}", ` +
+            `"startStackSymbol": "${p.startStackSymbol}", ` +
+            `"acceptance": "${p.acceptance}"`
+    const states =
+            '"states": [' +
+            [...p.states]
+              .map(s => {
+                return (
+                  `{"name": "${s.name}"` +
+                        (s.start ? ', "start": "true"' : '') +
+                        (s.final ? ', "final": "true"' : '') +
+                        '}'
+                )
+              })
+              .join(',\n') +
+            ']'
+    const edges =
+            '"edges": [' +
+            [...p.edges]
+              .map(
+                e =>
+                  `{"from": "${e.source.name}", "to": "${e.sink.name}", "symbol": "${e.symbol}", ` +
+                        `"pop": "${e.pop}", "push": "${e.push.join('')}" }`
+              )
+              .join(',\n') +
+            ']'
+    return `{ ${header},\n ${states},\n ${edges}\n }`
+  }
+}
+
+/**
+ * find a symbol that is not yet a stack symbol of the pushdown automaton
+ * @param {PushdownAutomaton} p - a pushdown automaton
+ * @returns {string} a new stack symbol
+ */
+
+function newStackSymbol (p) {
+  const symbol = [...NEW_STACK_SYMBOLS].find(X => !p.stackAlphabet.symbols.includes(X))
+  if (symbol === undefined) {
+    throw new Error('newStackSymbol: no more stack symbols available')
+  }
+  return symbol
+}
+
+/**
+ * a lower bound for the number of input symbols that are read until a stack symbol is
+ * popped, i.e. the symbol and the symbols pushed for it are removed. The states are
+ * ignored, so the minimum over all edges that pop the symbol is taken.
+ * @param {PushdownAutomaton} p - a pushdown automaton
+ * @returns {Map} maps each stack symbol to the number of input symbols, Infinity if it
+ * can't be popped
+ */
+
+function minimalInputToPop (p) {
+  const min = new Map(p.stackAlphabet.symbols.map(X => [X, Infinity]))
+  let changed = true
+  while (changed) {
+    changed = false
+    p.edges.forEach(e => {
+      const n = e.push.reduce((sum, X) => sum + min.get(X), e.isEpsilon() ? 0 : 1)
+      if (n < min.get(e.pop)) {
+        min.set(e.pop, n)
+        changed = true
+      }
+    })
+  }
+  return min
+}
+
+module.exports = PushdownAutomaton
@@ -0,0 +1,44 @@
+const Edge = require('./edge')
+
+/**
+ * Class representing a transition of a pushdown automaton. The transition reads
+ * an input symbol (or {@link Edge.EPSILON}), pops one stack symbol and pushes a
+ * sequence of stack symbols. The first symbol of the pushed sequence becomes the
+ * new top of the stack.
+ * @extends Edge
+ */
+class PushdownEdge extends Edge {
+  /**
+     * create a transition of a pushdown automaton.
+     * @param {State} from - source state
+     * @param {State} to - target state
+     * @param {string} symbol - the input symbol or {@link Edge.EPSILON}
+     * @param {string} pop - the stack symbol that is popped
+     * @param {Array} push - the stack symbols that are pushed, top of stack first
+     * @returns {PushdownEdge} new edge
+     */
+  constructor (from, to, symbol, pop, push) {
+    super(from, to, symbol)
+    this.pop = pop
+    this.push = push
+  }
+
+  /**
+     * the label of the edge in the form input,pop/push
+     * @returns {string} the label of the edge
+     */
+  get label () {
+    const push = this.push.length === 0 ? Edge.EPSILON : this.push.join('')
+    return this.symbol + ',' + this.pop + '/' + push
+  }
+
+  /**
+     * name getter
+     * @returns {string} name of the edge
+     */
+  get name () {
+    return this.source.name + '-' + this.label + '-' + this.sink.name
+  }
+}
+
+module.exports = PushdownEdge
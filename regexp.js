@@ -1,11 +1,14 @@
 const Sample = require('./sample-automata')
 const Automaton = require('./automaton')
+const Edge = require('./edge')
 
 const EMPTY = 0
 const WORD = 1
 const STAR = 2
 const SUM = 3
 const CONCAT = 4
+const INTERSECTION = 5
+const COMPLEMENT = 6
 const EPSILON = 'E'
 
 /** Class representing a regular expression */
@@ -25,39 +28,72 @@ class RegularExpression {
       type = WORD
     }
     this.type = type
-    if (type === EMPTY) {
-      this.equivalentAutomaton = new Automaton()
-    }
     if (type === WORD) {
       this.word = r1 === 'E' ? '' : r1
-      this.equivalentAutomaton =
-                r1 === 'E' ? Sample.onlyEmptyWord() : Sample.onlyWord(r1)
     }
     if (type === STAR) {
       this.star = r1
-      this.equivalentAutomaton = r1.equivalentAutomaton
-        .star()
-        .minimize()
-        .renameStates()
     }
-    if (type === SUM) {
+    if (type === SUM || type === CONCAT || type === INTERSECTION) {
       this.left = r1
       this.right = r2
-      this.equivalentAutomaton = r1.equivalentAutomaton
-        .union(r2.equivalentAutomaton)
-        .minimize()
-        .renameStates()
     }
-    if (type === CONCAT) {
-      this.left = r1
-      this.right = r2
-      this.equivalentAutomaton = r1.equivalentAutomaton
-        .concat(r2.equivalentAutomaton)
-        .minimize()
-        .renameStates()
+    if (type === COMPLEMENT) {
+      this.operand = r1
     }
   }
 
+  /**
+     * the minimal automaton that accepts the language of the regular expression. It is
+     * built from the automata of the subexpressions when it is used for the first time.
+     * Its alphabet consists of the symbols given to {@link RegularExpression.parse}, which
+     * are stored in the property symbols of the nodes, otherwise a and b. A complement is
+     * taken over this alphabet.
+     * @returns {Automaton} the equivalent automaton
+     */
+  get equivalentAutomaton () {
+    const r = this
+    if (r.cachedAutomaton !== undefined) {
+      return r.cachedAutomaton
+    }
+    const symbols = r.symbols === undefined ? 'ab' : r.symbols
+    switch (r.type) {
+      case EMPTY:
+        r.cachedAutomaton = new Automaton('A', symbols)
+        break
+      case WORD:
+        r.cachedAutomaton = r.word === '' ? Sample.onlyEmptyWord(symbols) : Sample.onlyWord(r.word, symbols)
+        break
+      case STAR:
+        r.cachedAutomaton = r.star.equivalentAutomaton.star()
+        break
+      case SUM:
+        r.cachedAutomaton = r.left.equivalentAutomaton.union(r.right.equivalentAutomaton)
+        break
+      case CONCAT:
+        r.cachedAutomaton = r.left.equivalentAutomaton.concat(r.right.equivalentAutomaton)
+        break
+      case INTERSECTION:
+        r.cachedAutomaton = r.left.equivalentAutomaton.intersect(r.right.equivalentAutomaton)
+        break
+      case COMPLEMENT:
+        r.cachedAutomaton = r.operand.equivalentAutomaton.complement()
+        break
+    }
+    if (r.type !== EMPTY && r.type !== WORD) {
+      r.cachedAutomaton = r.cachedAutomaton.minimize().renameStates()
+    }
+    return r.cachedAutomaton
+  }
+
+  /**
+     * the node types of regular expressions
+     * @returns {Object} the types EMPTY, WORD, STAR, SUM, CONCAT, INTERSECTION and COMPLEMENT
+     */
+  static get TYPES () {
+    return { EMPTY, WORD, STAR, SUM, CONCAT, INTERSECTION, COMPLEMENT }
+  }
+
   /**
      * create a regular expression for the empty language
      * @returns {RegularExpression} a new regular expression
@@ -101,12 +137,212 @@ class RegularExpression {
   }
 
   /**
-     * check whether a word is accepted, i.e. in the language of the regular expression
+     * create a regular expression that is the intersection of the given regular expression and
+     * a second regular expression r.
+     * @param {RegularExpression} r - a second regular expression
+     * @returns {RegularExpression} a new regular expression
+     */
+  intersect (r) {
+    return new RegularExpression(INTERSECTION, this, r)
+  }
+
+  /**
+     * create a regular expression that is the complement of the given regular expression
+     * with respect to all words over the alphabet.
+     * @returns {RegularExpression} a new regular expression
+     */
+  complement () {
+    return new RegularExpression(COMPLEMENT, this)
+  }
+
+  /**
+     * checks whether the regular expression contains an intersection or a complement. Such
+     * a regular expression can be converted to one with the basic operations only by
+     * {@link ExtRegularExpression.withBasicOperations}.
+     * @returns {boolean} true if there is an intersection or complement, false otherwise
+     */
+  hasBooleanOperations () {
+    const r = this
+    switch (r.type) {
+      case INTERSECTION:
+      case COMPLEMENT:
+        return true
+      case STAR:
+        return r.star.hasBooleanOperations()
+      case SUM:
+      case CONCAT:
+        return r.left.hasBooleanOperations() || r.right.hasBooleanOperations()
+      default:
+        return false
+    }
+  }
+
+  /**
+     * create a regular expression for the given regular expression or the empty word,
+     * i.e. r+E for a regular expression r
+     * @returns {RegularExpression} a new regular expression
+     */
+  optional () {
+    return this.sum(new RegularExpression(''))
+  }
+
+  /**
+     * create a regular expression for one or more repetitions of the given regular expression,
+     * i.e. rr* for a regular expression r
+     * @returns {RegularExpression} a new regular expression
+     */
+  plus () {
+    return this.concat(new RegularExpression(STAR, this))
+  }
+
+  /**
+     * create a regular expression for min to max repetitions of the given regular expression.
+     * For example, r{2,4} is expressed as rr(r(r+E)+E).
+     * @param {number} min - the minimal number of repetitions
+     * @param {number} [max] - the maximal number of repetitions, Infinity for no limit
+     * @returns {RegularExpression} a new regular expression
+     */
+  repeat (min, max = min) {
+    if (!Number.isInteger(min) || min < 0 || !(Number.isInteger(max) || max === Infinity) || max < min) {
+      throw new Error(`invalid number of repetitions: ${min}, ${max}`)
+    }
+    let r = new RegularExpression('')
+    for (let i = 0; i < min; i++) {
+      r = r.concat(this)
+    }
+    if (max === Infinity) {
+      return r.concat(new RegularExpression(STAR, this))
+    }
+    let optional = new RegularExpression('')
+    for (let i = min; i < max; i++) {
+      optional = this.concat(optional).optional()
+    }
+    return r.concat(optional)
+  }
+
+  /**
+     * check whether a word is accepted, i.e. in the language of the regular expression. The
+     * test uses derivatives (see {@link RegularExpression#derivative}), so no automaton is built.
      * @param {string} w - a word
      * @returns {boolean} true, if the word is in the language, false otherwise
      */
   accepts (w) {
-    return this.equivalentAutomaton.accepts(w)
+    return this.derivative(w).nullable()
+  }
+
+  /**
+     * checks whether the empty word is in the language of the regular expression
+     * @returns {boolean} true if the empty word is in the language, false otherwise
+     */
+  nullable () {
+    const r = this
+    switch (r.type) {
+      case EMPTY:
+        return false
+      case WORD:
+        return r.word === ''
+      case STAR:
+        return true
+      case SUM:
+        return r.left.nullable() || r.right.nullable()
+      case CONCAT:
+      case INTERSECTION:
+        return r.left.nullable() && r.right.nullable()
+      case COMPLEMENT:
+        return !r.operand.nullable()
+    }
+  }
+
+  /**
+     * determine the Brzozowski derivative with respect to a symbol or a word, i.e. a regular
+     * expression for the words v such that wv is in the language. The result is in similarity
+     * normal form (see {@link RegularExpression#similarityNormalForm}).
+     * @param {string} w - a symbol or a word
+     * @returns {RegularExpression} the derivative
+     */
+  derivative (w) {
+    return [...w].reduce((r, symbol) => symbolDerivative(r, symbol).similarityNormalForm(), this.similarityNormalForm())
+  }
+
+  /**
+     * a regular expression of the same language in similarity normal form: unions and
+     * intersections are flattened, duplicates are removed and the operands are sorted,
+     * 0 is removed from unions and a concatenation or intersection with 0 is 0. Similar regular
+     * expressions have the same normal form and a regular expression has only finitely many
+     * derivatives in normal form.
+     * @returns {RegularExpression} a new regular expression in similarity normal form
+     */
+  similarityNormalForm () {
+    const r = this
+    switch (r.type) {
+      case STAR:
+        return new RegularExpression(STAR, r.star.similarityNormalForm())
+      case SUM:
+        return sumOf([r.left.similarityNormalForm(), r.right.similarityNormalForm()])
+      case CONCAT:
+        return concatOf(r.left.similarityNormalForm(), r.right.similarityNormalForm())
+      case INTERSECTION:
+        return intersectionOf([r.left.similarityNormalForm(), r.right.similarityNormalForm()])
+      case COMPLEMENT:
+        return r.operand.similarityNormalForm().complement()
+      default:
+        return r
+    }
+  }
+
+  /**
+     * simplify the regular expression by rewrite rules until no rule can be applied. The rules
+     * are 0r = r0 = 0, 0+r = r, Er = rE = r, r+r = r, E+r = r for r containing the empty word,
+     * r+r* = r*, E+rr* = E+r*r = r*, r*r* = r*, 0* = E* = E, (r*)* = r*, (E+r)* = r*,
+     * (r*+s)* = (r+s)*, (r*s*)* = (r+s)*, rs+rt = r(s+t), sr+tr = (s+t)r, r&r = r, 0&r = 0
+     * and ~~r = r.
+     * @param {boolean} [verify] - if true, check that the result is equivalent
+     * @returns {RegularExpression} an equivalent regular expression, not longer than the given one
+     * @throws {Error} if verify is true and the result is not equivalent
+     */
+  simplify (verify = false) {
+    let r = this
+    let previous
+    while (previous !== r.toString()) {
+      previous = r.toString()
+      const next = simplifyStep(r)
+      if (next.toString().length > previous.length) {
+        break
+      }
+      r = next
+    }
+    if (verify && !r.equivalent(this)) {
+      throw new Error(`simplify: ${r.toString()} is not equivalent to ${this.toString()}`)
+    }
+    return r
+  }
+
+  /**
+     * construct a deterministic automaton whose states are the derivatives of the regular
+     * expression in similarity normal form. The start state is the regular expression itself,
+     * a state is final if its regular expression is nullable and there is an edge with symbol a
+     * from r to the derivative of r with respect to a.
+     * @param {string} [symbols] - the alphabet symbols
+     * @returns {Automaton} a new complete deterministic automaton, the state names are the
+     * derivatives and each state has the derivative as property re of its tag
+     */
+  derivativeAutomaton (symbols = 'ab') {
+    const start = this.similarityNormalForm()
+    const a = new Automaton('derivatives of ' + this.toString(), symbols)
+    a.addState(start.toString(), true, start.nullable(), { re: start })
+    const todo = [start]
+    while (todo.length > 0) {
+      const r = todo.shift()
+      for (const symbol of symbols) {
+        const d = r.derivative(symbol)
+        if (a.getStateByName(d.toString()) === undefined) {
+          a.addState(d.toString(), false, d.nullable(), { re: d })
+          todo.push(d)
+        }
+        a.addEdge(r.toString(), d.toString(), symbol)
+      }
+    }
+    return a
   }
 
   /**
@@ -178,6 +414,152 @@ class RegularExpression {
     }
   }
 
+  /**
+     * construct Thompson's automaton with epsilon edges. A union and a star get a new entry
+     * and a new exit state, which are connected to the automata of the operands by epsilon
+     * edges. For a concatenation the exit state of the first automaton is the entry state of
+     * the second one. The states are named q0, q1, ... in the order of construction.
+     * @param {string} [symbols] - the alphabet symbols
+     * @returns {Automaton} a new automaton with the start state q0 and a single final state,
+     * with a layout for {@link Automaton#convertTikz}
+     * @throws {Error} if the regular expression contains an intersection or a complement
+     */
+  thompsonAutomaton (symbols = 'ab') {
+    const a = new Automaton('Thompson automaton of ' + this.toString(), symbols)
+    const newState = () => a.addState('q' + a.states.size)
+
+    // builds the automaton of r starting in state from and returns its exit state
+    function build (r, from) {
+      let to
+      switch (r.type) {
+        case EMPTY:
+          return newState()
+        case WORD:
+          if (r.word === '') {
+            to = newState()
+            a.addEdge(from, to, Edge.EPSILON)
+            return to
+          }
+          for (const symbol of r.word) {
+            to = newState()
+            a.addEdge(from, to, symbol)
+            from = to
+          }
+          return to
+        case STAR: {
+          const entry = newState()
+          a.addEdge(from, entry, Edge.EPSILON)
+          const exit = build(r.star, entry)
+          to = newState()
+          a.addEdge(exit, entry, Edge.EPSILON)
+          a.addEdge(exit, to, Edge.EPSILON)
+          a.addEdge(from, to, Edge.EPSILON)
+          return to
+        }
+        case SUM: {
+          const exits = [r.left, r.right].map(operand => {
+            const entry = newState()
+            a.addEdge(from, entry, Edge.EPSILON)
+            return build(operand, entry)
+          })
+          to = newState()
+          exits.forEach(exit => a.addEdge(exit, to, Edge.EPSILON))
+          return to
+        }
+        case CONCAT:
+          return build(r.right, build(r.left, from))
+        default:
+          throw new Error('Thompson construction: intersection and complement are not supported')
+      }
+    }
+
+    const start = newState()
+    start.start = true
+    build(this, start).final = true
+    return a.layoutByDistance()
+  }
+
+  /**
+     * determine the sets of Glushkov's construction. The occurrences of alphabet symbols
+     * (positions) are numbered from left to right and named by the symbol and the number,
+     * e.g. a1, b2, a3 for (a+b)*a.
+     * @returns {Object} { positions, first, last, follow, nullable } with an array of the
+     * position names, the set of positions that can start a word, the set of positions that
+     * can end a word, a map from each position to the set of positions that can follow it
+     * and whether the empty word is in the language
+     * @throws {Error} if the regular expression contains an intersection or a complement
+     */
+  positionSets () {
+    const positions = []
+    const follow = new Map()
+
+    // returns the first and last positions and whether the subexpression is nullable
+    function sets (r) {
+      switch (r.type) {
+        case EMPTY:
+          return { first: new Set(), last: new Set(), nullable: false }
+        case WORD: {
+          if (r.word === '') {
+            return { first: new Set(), last: new Set(), nullable: true }
+          }
+          const names = [...r.word].map(symbol => {
+            positions.push(symbol + (positions.length + 1))
+            return positions[positions.length - 1]
+          })
+          names.forEach((p, i) => follow.set(p, new Set(names.slice(i + 1, i + 2))))
+          return { first: new Set([names[0]]), last: new Set([names[names.length - 1]]), nullable: false }
+        }
+        case STAR: {
+          const x = sets(r.star)
+          x.last.forEach(p => x.first.forEach(q => follow.get(p).add(q)))
+          return { first: x.first, last: x.last, nullable: true }
+        }
+        case SUM: {
+          const x = sets(r.left)
+          const y = sets(r.right)
+          return { first: x.first.union(y.first), last: x.last.union(y.last), nullable: x.nullable || y.nullable }
+        }
+        case CONCAT: {
+          const x = sets(r.left)
+          const y = sets(r.right)
+          x.last.forEach(p => y.first.forEach(q => follow.get(p).add(q)))
+          return {
+            first: x.nullable ? x.first.union(y.first) : x.first,
+            last: y.nullable ? x.last.union(y.last) : y.last,
+            nullable: x.nullable && y.nullable
+          }
+        }
+        default:
+          throw new Error('Glushkov construction: intersection and complement are not supported')
+      }
+    }
+
+    const result = sets(this)
+    return { positions, first: result.first, last: result.last, follow, nullable: result.nullable }
+  }
+
+  /**
+     * construct Glushkov's automaton (position automaton) from the sets of
+     * {@link RegularExpression#positionSets}. Besides the start state 0 there is a state for
+     * each position, which is final if it is a last position. There is an edge from 0 to each
+     * first position and from each position p to each position that can follow p, labelled
+     * with the symbol of the target position.
+     * @param {string} [symbols] - the alphabet symbols
+     * @returns {Automaton} a new automaton without epsilon edges, with a layout for
+     * {@link Automaton#convertTikz}
+     * @throws {Error} if the regular expression contains an intersection or a complement
+     */
+  glushkovAutomaton (symbols = 'ab') {
+    const sets = this.positionSets()
+    const a = new Automaton('Glushkov automaton of ' + this.toString(), symbols)
+    a.addState('0', true, sets.nullable)
+    sets.positions.forEach(p => a.addState(p, false, sets.last.has(p)))
+    // the symbol of a position is its first character
+    sets.first.forEach(p => a.addEdge('0', p, p[0]))
+    sets.follow.forEach((following, p) => following.forEach(q => a.addEdge(p, q, q[0])))
+    return a.layoutByDistance()
+  }
+
   /**
      * convert the regular expression to a string
      * @return {string} a string representation of the regular expression
@@ -186,6 +568,8 @@ class RegularExpression {
     const r = this
     let left
     let right
+    // operands of a concatenation or intersection with a lower precedence need parentheses
+    const operand = (x, types) => types.includes(x.type) ? '(' + x.toString() + ')' : x.toString()
 
     switch (r.type) {
       case EMPTY:
@@ -201,20 +585,67 @@ class RegularExpression {
       case SUM:
         return r.left.toString() + '+' + r.right.toString()
       case CONCAT:
-        if (r.left.type !== SUM) {
-          left = r.left.toString()
-        } else {
-          left = '(' + r.left.toString() + ')'
-        }
-        if (r.right.type !== SUM) {
-          right = r.right.toString()
+        left = operand(r.left, [SUM, INTERSECTION])
+        right = operand(r.right, [SUM, INTERSECTION])
+        return left + right
+      case INTERSECTION:
+        return operand(r.left, [SUM]) + '&' + operand(r.right, [SUM])
+      case COMPLEMENT:
+        if ((r.operand.type === WORD && r.operand.word.length <= 1) ||
+          [EMPTY, STAR, COMPLEMENT].includes(r.operand.type)) {
+          return '~' + r.operand.toString()
         } else {
-          right = '(' + r.right.toString() + ')'
+          return '~(' + r.operand.toString() + ')'
         }
-        return left + right
     }
   }
 
+  /**
+     * convert the regular expression to an anchored JavaScript regular expression, i.e. the
+     * RegExp matches exactly the words in the language. The union is written as |, the empty
+     * word as an empty group (?:) and the empty language as the empty class [].
+     * @returns {RegExp} a new RegExp
+     * @throws {Error} if the regular expression contains an intersection or a complement
+     */
+  toJSRegExp () {
+    const source = jsSource(this)
+    return new RegExp(this.type === SUM ? `^(?:${source})$` : `^${source}$`)
+  }
+
+  /**
+     * convert a JavaScript regular expression to a regular expression. Supported are alphabet
+     * symbols (possibly escaped), |, groups (...) and (?:...), the quantifiers *, +, ?, {n},
+     * {n,m} and {n,} (also lazy), character classes like [ab], [a-z] or [^a], . and the anchors ^
+     * at the beginning and $ at the end. Without an anchor the RegExp matches subwords, so .* is
+     * added. Characters of classes that are not alphabet symbols are ignored.
+     * @param {RegExp|string} regexp - a RegExp or its source, the flags i, m and y are not supported
+     * @param {string} [symbols] - the alphabet symbols
+     * @returns {RegularExpression} a new regular expression for the words over the alphabet that
+     * are matched by the RegExp
+     * @throws {Error} for unsupported syntax, e.g. lookarounds, backreferences or \d
+     */
+  static fromJSRegExp (regexp, symbols = 'ab') {
+    if (!(regexp instanceof RegExp)) {
+      regexp = new RegExp(regexp)
+    }
+    if (/[imy]/.test(regexp.flags)) {
+      throw new Error(`fromJSRegExp: the flags ${regexp.flags} are not supported`)
+    }
+    const all = RegularExpression.parse('.', symbols).star()
+    // the anchors belong to the alternatives on the top level
+    return topLevelAlternatives(regexp.source).map(alternative => {
+      const translated = translateJSSource(alternative.source, symbols, alternative.offset)
+      let r = RegularExpression.parse(translated.source, symbols, '|')
+      if (!translated.start) {
+        r = all.concat(r)
+      }
+      if (!translated.end) {
+        r = r.concat(all)
+      }
+      return r
+    }).reduceRight((right, left) => left.sum(right))
+  }
+
   /**
      * checks whether the given regular expression is equivalent to a second regular
      * expression.
@@ -226,6 +657,19 @@ class RegularExpression {
     return r1.equivalentAutomaton.equivalent(r2.equivalentAutomaton)
   }
 
+  /**
+     * determine a shortest word that is in the language of exactly one of the given
+     * regular expression and a second regular expression
+     * (see {@link Automaton#distinguishingWord}).
+     * @param {RegularExpression} r2 - the second regular expression
+     * @returns {Object} undefined if the two regular expressions are equivalent, otherwise
+     * { word, acceptedByFirst, acceptedBySecond }
+     */
+  distinguishingWord (r2) {
+    const r1 = this
+    return r1.equivalentAutomaton.distinguishingWord(r2.equivalentAutomaton)
+  }
+
   /* only used internally for parse() */
   static lex (reString, symbols = 'ab') {
     const stack = []
@@ -330,165 +774,683 @@ class RegularExpression {
     return stack
   }
 
-  static parse (reString, symbols = 'ab') {
-    const LPAREN = 1
-    const RPAREN = 2
-    const RPARENSTAR = 22
-    const PLUS = 3
-    const WORD = 4
-    const CHARSTAR = 5
-    const EPS = 6
-    const RENULL = 7
-    const END = 8
-    const tokens = []
-
-    function tokenize (input) {
-      let i = 0
-      let token
-      // to have always a followingt character
-      input = input.concat('$')
-      while (i < input.length) {
-        const c = input[i]
-        let word
-        switch (c) {
-          case '(':
-            token = { type: LPAREN, value: '(' }
-            tokens.push(token)
-            break
-          case ')':
-            if (input[i + 1] === '*') {
-              token = { type: RPARENSTAR, value: ')' }
-              i++
-            } else {
-              token = { type: RPAREN, value: ')' }
-            }
-            tokens.push(token)
-            break
-          case '+':
-            token = { type: PLUS, value: '+' }
-            tokens.push(token)
-            break
-          case 'E':
-          case '1':
-            token = { type: EPS, value: '' }
-            tokens.push(token)
-            break
-          case '0':
-            token = { type: RENULL, value: '0' }
-            tokens.push(token)
-            break
-          case '$':
-            tokens.push({ type: END, value: null })
-            break
-          default:
-            if (symbols.indexOf(c) === -1) {
-              throw new Error(
-                're lex: unexpected character: ' + c
-              )
-            }
-            word = ''
-            while (symbols.indexOf(input[i]) !== -1) {
-              if (input[i + 1] === '*') {
-                if (word !== '') {
-                  tokens.push({ type: WORD, value: word })
-                  word = ''
-                }
-                tokens.push({
-                  type: CHARSTAR,
-                  value: input[i]
-                })
-                i++
-                i++
-                break
-              } else {
-                word = word.concat(input[i])
-                i++
-              }
-            }
-            if (word !== '') {
-              tokens.push({ type: WORD, value: word })
-            }
-            i--
+  /**
+     * the symbols of a range like a-c in a character class. The range consists of the symbols
+     * between from and to in the order of the alphabet.
+     * @param {string} from - the first symbol of the range
+     * @param {string} to - the last symbol of the range
+     * @param {string} [symbols] - the alphabet symbols
+     * @returns {string[]|undefined} the symbols of the range, undefined if from or to is not an
+     * alphabet symbol or to comes before from
+     */
+  static symbolRange (from, to, symbols = 'ab') {
+    const alphabet = [...symbols]
+    const first = alphabet.indexOf(from)
+    const last = alphabet.indexOf(to)
+    if (first === -1 || last < first) {
+      return undefined
+    }
+    return alphabet.slice(first, last + 1)
+  }
+
+  /**
+     * convert a string to a regular expression. Besides alphabet symbols, + (or |) for the union,
+     * * for the star, parentheses, E or 1 for the empty word and 0 for the empty language the
+     * following abbreviations are allowed, which are expressed by the basic operations:
+     * r? (optional), r⁺ (one or more, also r+ if | is the union operator), r{n} (exactly n times),
+     * r{n,m} (n to m times), r{n,} (at least n times), [abc] or [a-c] (one of the symbols) and
+     * . (any alphabet symbol). A postfix operator after a word applies to its last symbol only.
+     * Furthermore, r&s is the intersection and ~r or !r the complement. The complement applies to
+     * the following symbol, parenthesized expression or complement including postfix operators,
+     * concatenation binds stronger than intersection and intersection binds stronger than union.
+     * @param {string} reString - string representation of the regular expression, whitespace is ignored
+     * @param {string} [symbols] - the alphabet symbols, they are stored in the nodes for the
+     * equivalent automata
+     * @param {string} [union] - the union operator, + or |
+     * @returns {RegularExpression} a new regular expression
+     * @throws {Error} an error with the position for a syntax error
+     */
+  static parse (reString, symbols = 'ab', union = '+') {
+    if (union !== '+' && union !== '|') {
+      throw new Error('re: the union operator must be + or |')
+    }
+    const isSymbol = c => c !== undefined && symbols.includes(c)
+    const tokens = [...reString]
+      .map((c, i) => ({ c: c, position: i + 1 }))
+      .filter(t => !/\s/.test(t.c))
+    let pos = 0
+    const peek = () => pos < tokens.length ? tokens[pos].c : undefined
+    const error = message => {
+      const position = pos < tokens.length ? tokens[pos].position : [...reString].length + 1
+      return new Error(`re: ${message} at position ${position}`)
+    }
+    const sumOf = chars => [...new Set(chars)]
+      .map(c => new RegularExpression(c))
+      .reduceRight((right, left) => left.sum(right))
+
+    function number () {
+      let digits = ''
+      while (/[0-9]/.test(peek())) {
+        digits += tokens[pos++].c
+      }
+      if (digits === '') {
+        throw error('expected a number')
+      }
+      return parseInt(digits)
+    }
+
+    function characterClass () {
+      const chars = []
+      while (peek() !== ']') {
+        const c = peek()
+        if (!isSymbol(c)) {
+          throw error(c === undefined ? 'missing ]' : `unexpected character ${c} in character class`)
         }
-        i++
+        pos++
+        if (peek() === '-' && isSymbol(tokens[pos + 1] && tokens[pos + 1].c)) {
+          const last = tokens[pos + 1].c
+          const range = RegularExpression.symbolRange(c, last, symbols)
+          if (range === undefined) {
+            throw error(`invalid range ${c}-${last}`)
+          }
+          chars.push(...range)
+          pos += 2
+        } else {
+          chars.push(c)
+        }
+      }
+      if (chars.length === 0) {
+        throw error('empty character class')
       }
+      pos++
+      return sumOf(chars)
     }
 
-    let pos = 0
+    // returns { re, symbol }, symbol is set for a single alphabet symbol without postfix operator
+    function atom () {
+      const c = peek()
+      if (isSymbol(c)) {
+        pos++
+        return { re: new RegularExpression(c), symbol: c }
+      }
+      if (c === '(') {
+        pos++
+        const r = re()
+        if (peek() !== ')') {
+          throw error('missing )')
+        }
+        pos++
+        return { re: r }
+      }
+      const r = {
+        E: () => new RegularExpression(''),
+        1: () => new RegularExpression(''),
+        0: () => RegularExpression.empty(),
+        '.': () => sumOf(symbols),
+        '[': characterClass
+      }[c]
+      if (r === undefined) {
+        throw error(c === undefined ? 'unexpected end' : `unexpected character ${c}`)
+      }
+      pos++
+      return { re: r() }
+    }
 
     function factor () {
-      let token = tokens[pos]
-      if (token.type === LPAREN) {
+      if (peek() === '~' || peek() === '!') {
         pos++
-        const f = re()
-        token = tokens[pos]
-        if (token.type === RPAREN) {
+        return { re: factor().re.complement() }
+      }
+      const f = atom()
+      for (;;) {
+        const c = peek()
+        if (c === '*') {
+          // the method star is hidden by the property star of a STAR node
+          f.re = new RegularExpression(STAR, f.re)
+        } else if (c === '?') {
+          f.re = f.re.optional()
+        } else if (c === '⁺' || (c === '+' && union === '|')) {
+          f.re = f.re.plus()
+        } else if (c === '{') {
           pos++
+          const min = number()
+          let max = min
+          if (peek() === ',') {
+            pos++
+            max = peek() === '}' ? Infinity : number()
+          }
+          if (peek() !== '}') {
+            throw error('missing }')
+          }
+          if (max < min) {
+            throw error(`invalid repetition {${min},${max}}`)
+          }
+          f.re = f.re.repeat(min, max)
+        } else {
           return f
         }
-        if (token.type === RPARENSTAR) {
-          pos++
-          return f.star()
+        pos++
+        f.symbol = undefined
+      }
+    }
+
+    function product () {
+      // consecutive alphabet symbols form a word
+      const factors = []
+      let word = ''
+      while (peek() !== undefined && peek() !== union && peek() !== '&' && peek() !== ')') {
+        const f = factor()
+        if (f.symbol !== undefined) {
+          word += f.symbol
+        } else {
+          if (word !== '') {
+            factors.push(new RegularExpression(word))
+            word = ''
+          }
+          factors.push(f.re)
         }
-        throw new Error('re factor1: unexpected token: ' + token.type)
       }
-      if (token.type === WORD) {
-        pos++
-        return new RegularExpression(token.value)
+      if (word !== '') {
+        factors.push(new RegularExpression(word))
       }
-      if (token.type === CHARSTAR) {
+      if (factors.length === 0) {
+        throw error('expected a regular expression')
+      }
+      return factors.reduceRight((right, left) => left.concat(right))
+    }
+
+    function intersection () {
+      const products = [product()]
+      while (peek() === '&') {
         pos++
-        const r = new RegularExpression(token.value)
-        return r.star()
+        products.push(product())
       }
-      if (token.type === EPS) {
+      return products.reduceRight((right, left) => left.intersect(right))
+    }
+
+    function re () {
+      const intersections = [intersection()]
+      while (peek() === union) {
         pos++
-        return new RegularExpression('')
+        intersections.push(intersection())
       }
-      throw new Error('re factor2: unexpected token: ' + token.type)
+      return intersections.reduceRight((right, left) => left.sum(right))
     }
 
-    function product () {
-      const f = factor()
-      const token = tokens[pos]
-      if (
-        token.type === END ||
-                token.type === PLUS ||
-                token.type === RPAREN ||
-                token.type === RPARENSTAR
-      ) {
-        return f
-      } else {
-        const p = product()
-        return f.concat(p)
+    const r = re()
+    if (pos < tokens.length) {
+      throw error(`unexpected character ${peek()}`)
+    }
+    setSymbols(r, symbols)
+    return r
+  }
+}
+
+/**
+ * store the alphabet in all nodes of a regular expression
+ * @param {RegularExpression} r - a regular expression
+ * @param {string} symbols - the alphabet symbols
+ */
+
+function setSymbols (r, symbols) {
+  r.symbols = symbols
+  ;[r.star, r.left, r.right, r.operand]
+    .filter(x => x instanceof RegularExpression && x.symbols !== symbols)
+    .forEach(x => setSymbols(x, symbols))
+}
+
+/**
+ * the derivative of a regular expression with respect to a symbol
+ * @param {RegularExpression} r - a regular expression
+ * @param {string} symbol - a symbol
+ * @returns {RegularExpression} the derivative, not normalized
+ */
+
+function symbolDerivative (r, symbol) {
+  switch (r.type) {
+    case EMPTY:
+      return r
+    case WORD:
+      return r.word[0] === symbol ? new RegularExpression(r.word.slice(1)) : RegularExpression.empty()
+    case STAR:
+      return concatOf(symbolDerivative(r.star, symbol), r)
+    case SUM:
+      return sumOf([symbolDerivative(r.left, symbol), symbolDerivative(r.right, symbol)])
+    case CONCAT: {
+      const d = concatOf(symbolDerivative(r.left, symbol), r.right)
+      return r.left.nullable() ? sumOf([d, symbolDerivative(r.right, symbol)]) : d
+    }
+    case INTERSECTION:
+      return intersectionOf([symbolDerivative(r.left, symbol), symbolDerivative(r.right, symbol)])
+    case COMPLEMENT:
+      return symbolDerivative(r.operand, symbol).complement()
+  }
+}
+
+/**
+ * the operands of nested operations of the same type
+ * @param {RegularExpression} r - a regular expression
+ * @param {number} type - SUM or INTERSECTION
+ * @returns {Array} the operands which are not of the given type
+ */
+
+function operands (r, type) {
+  return r.type === type ? operands(r.left, type).concat(operands(r.right, type)) : [r]
+}
+
+/**
+ * the operands without duplicates sorted by their string representation
+ * @param {Array} rs - regular expressions
+ * @returns {Array} the sorted regular expressions
+ */
+
+function uniqueSorted (rs) {
+  const unique = new Map(rs.map(r => [r.toString(), r]))
+  return [...unique.keys()].sort().map(key => unique.get(key))
+}
+
+/**
+ * the union of regular expressions modulo associativity, commutativity and idempotence
+ * @param {Array} rs - regular expressions
+ * @returns {RegularExpression} the union, 0 for no operands
+ */
+
+function sumOf (rs) {
+  rs = uniqueSorted(rs.flatMap(r => operands(r, SUM)).filter(r => r.type !== EMPTY))
+  return rs.length === 0 ? RegularExpression.empty() : rs.reduceRight((right, left) => left.sum(right))
+}
+
+/**
+ * the intersection of regular expressions modulo associativity, commutativity and idempotence
+ * @param {Array} rs - regular expressions
+ * @returns {RegularExpression} the intersection, 0 if an operand is 0
+ */
+
+function intersectionOf (rs) {
+  rs = uniqueSorted(rs.flatMap(r => operands(r, INTERSECTION)))
+  if (rs.some(r => r.type === EMPTY)) {
+    return RegularExpression.empty()
+  }
+  return rs.reduceRight((right, left) => left.intersect(right))
+}
+
+/**
+ * the concatenation of two regular expressions, 0 if one of them is 0
+ * @param {RegularExpression} r1 - the first regular expression
+ * @param {RegularExpression} r2 - the second regular expression
+ * @returns {RegularExpression} the concatenation
+ */
+
+function concatOf (r1, r2) {
+  if (r1.type === EMPTY || r2.type === EMPTY) {
+    return RegularExpression.empty()
+  }
+  return r1.concat(r2)
+}
+
+/**
+ * the factors of nested concatenations, words are split into their symbols
+ * @param {RegularExpression} r - a regular expression
+ * @returns {Array} the factors, empty for the empty word
+ */
+
+function factors (r) {
+  if (r.type === CONCAT) {
+    return factors(r.left).concat(factors(r.right))
+  }
+  if (r.type === WORD) {
+    return [...r.word].map(symbol => new RegularExpression(symbol))
+  }
+  return [r]
+}
+
+/**
+ * the concatenation of regular expressions, consecutive words are joined
+ * @param {Array} rs - regular expressions
+ * @returns {RegularExpression} the concatenation, E for no operands
+ */
+
+function concatAll (rs) {
+  const joined = []
+  rs.forEach(r => {
+    const last = joined[joined.length - 1]
+    if (r.type === WORD && last !== undefined && last.type === WORD) {
+      joined[joined.length - 1] = new RegularExpression(last.word + r.word)
+    } else {
+      joined.push(r)
+    }
+  })
+  return joined.length === 0
+    ? new RegularExpression('')
+    : joined.reduceRight((right, left) => left.concat(right))
+}
+
+/**
+ * the union of regular expressions in the given order
+ * @param {Array} rs - regular expressions
+ * @returns {RegularExpression} the union, 0 for no operands
+ */
+
+function sumAll (rs) {
+  return rs.length === 0 ? RegularExpression.empty() : rs.reduceRight((right, left) => left.sum(right))
+}
+
+/**
+ * factor out the longest common prefix (or suffix) of operands of a union that start (or end)
+ * with the same factor if the union does not get longer, e.g. abab+abba+b = ab(ab+ba)+b
+ * @param {Array} summands - the operands of a union
+ * @param {boolean} suffix - if true, factor out suffixes
+ * @returns {Array} the new operands of the union
+ */
+
+function factorOut (summands, suffix) {
+  const groups = []
+  summands.forEach(summand => {
+    const fs = suffix ? factors(summand).reverse() : factors(summand)
+    const group = groups.find(g => g.factors[0].length > 0 && fs.length > 0 &&
+      g.factors[0][0].toString() === fs[0].toString())
+    if (group === undefined) {
+      groups.push({ summands: [summand], factors: [fs] })
+    } else {
+      group.summands.push(summand)
+      group.factors.push(fs)
+    }
+  })
+  return groups.flatMap(g => {
+    if (g.summands.length === 1) {
+      return g.summands
+    }
+    let length = 1
+    while (g.factors.every(fs => fs.length > length && fs[length].toString() === g.factors[0][length].toString())) {
+      length++
+    }
+    const ordered = fs => suffix ? fs.reverse() : fs
+    const common = concatAll(ordered(g.factors[0].slice(0, length)))
+    const rests = sumAll(g.factors.map(fs => concatAll(ordered(fs.slice(length)))))
+    const factored = suffix ? concatAll([rests, common]) : concatAll([common, rests])
+    return factored.toString().length <= sumAll(g.summands).toString().length ? [factored] : g.summands
+  })
+}
+
+/**
+ * the regular expression r if s is rr* or r*r
+ * @param {RegularExpression} s - a regular expression
+ * @returns {RegularExpression} r or undefined if s has not this form
+ */
+
+function plusOperand (s) {
+  const fs = factors(s)
+  if (fs.length < 2) {
+    return undefined
+  }
+  const first = fs[0]
+  const last = fs[fs.length - 1]
+  if (last.type === STAR && concatAll(fs.slice(0, -1)).toString() === last.star.toString()) {
+    return last.star
+  }
+  if (first.type === STAR && concatAll(fs.slice(1)).toString() === first.star.toString()) {
+    return first.star
+  }
+  return undefined
+}
+
+/**
+ * simplify a union whose operands are already simplified
+ * @param {Array} summands - the operands
+ * @returns {RegularExpression} the simplified union
+ */
+
+function simplifySum (summands) {
+  const unique = new Map()
+  summands.flatMap(r => operands(r, SUM))
+    .filter(r => r.type !== EMPTY)
+    .forEach(r => unique.set(r.toString(), r))
+  let rs = [...unique.values()]
+  // r + r* = r*
+  const stars = new Set(rs.filter(r => r.type === STAR).map(r => r.star.toString()))
+  rs = rs.filter(r => !stars.has(r.toString()))
+  // E + rr* = r*
+  const isEmptyWord = r => r.type === WORD && r.word === ''
+  if (rs.some(isEmptyWord)) {
+    rs = rs.map(r => plusOperand(r) === undefined ? r : new RegularExpression(STAR, plusOperand(r)))
+  }
+  // E + r = r if r contains the empty word
+  if (rs.some(r => !isEmptyWord(r) && r.nullable())) {
+    rs = rs.filter(r => !isEmptyWord(r))
+  }
+  rs = factorOut(factorOut(rs, false), true)
+  return sumAll(rs)
+}
+
+/**
+ * simplify a star whose operand is already simplified
+ * @param {RegularExpression} r - the operand of the star
+ * @returns {RegularExpression} the simplified star
+ */
+
+function simplifyStar (r) {
+  // (r*)* = r*, (E+r)* = r*, (r*+s)* = (r+s)* and (r*s*)* = (r+s)*
+  let summands = operands(r, SUM)
+  if (summands.length === 1 && factors(r).length > 1 && factors(r).every(f => f.type === STAR)) {
+    summands = factors(r)
+  }
+  summands = summands
+    .map(s => s.type === STAR ? s.star : s)
+    .filter(s => !(s.type === WORD && s.word === '') && s.type !== EMPTY)
+  if (summands.length === 0) {
+    return new RegularExpression('')
+  }
+  return new RegularExpression(STAR, simplifySum(summands))
+}
+
+/**
+ * apply the rewrite rules of {@link RegularExpression#simplify} bottom-up once
+ * @param {RegularExpression} r - a regular expression
+ * @returns {RegularExpression} the rewritten regular expression
+ */
+
+function simplifyStep (r) {
+  switch (r.type) {
+    case STAR:
+      return simplifyStar(simplifyStep(r.star))
+    case SUM:
+      return simplifySum(operands(r, SUM).map(simplifyStep))
+    case CONCAT: {
+      const fs = factors(r).map(simplifyStep).flatMap(factors)
+      if (fs.some(f => f.type === EMPTY)) {
+        return RegularExpression.empty()
       }
+      // r*r* = r*
+      return concatAll(fs.filter((f, i) => !(f.type === STAR && i > 0 && fs[i - 1].toString() === f.toString())))
     }
+    case INTERSECTION:
+      return intersectionOf(operands(r, INTERSECTION).map(simplifyStep))
+    case COMPLEMENT: {
+      const operand = simplifyStep(r.operand)
+      return operand.type === COMPLEMENT ? operand.operand : operand.complement()
+    }
+    default:
+      return r
+  }
+}
 
-    function re () {
-      const left = product()
-      if (
-        tokens[pos].type === END ||
-                tokens[pos].type === RPAREN ||
-                tokens[pos].type === RPARENSTAR
-      ) {
-        return left
+/**
+ * the source of a JavaScript regular expression (without anchors)
+ * @param {RegularExpression} r - a regular expression without intersection and complement
+ * @returns {string} the source
+ */
+
+function jsSource (r) {
+  const escape = w => w.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+  const group = x => x.type === SUM ? `(?:${jsSource(x)})` : jsSource(x)
+  switch (r.type) {
+    case EMPTY:
+      return '[]'
+    case WORD:
+      return r.word === '' ? '(?:)' : escape(r.word)
+    case STAR:
+      return (r.star.type === WORD && r.star.word.length === 1) || r.star.type === EMPTY
+        ? jsSource(r.star) + '*'
+        : `(?:${jsSource(r.star)})*`
+    case SUM:
+      return jsSource(r.left) + '|' + jsSource(r.right)
+    case CONCAT:
+      return group(r.left) + group(r.right)
+    default:
+      throw new Error('toJSRegExp: intersection and complement are not supported')
+  }
+}
+
+/**
+ * split the source of a JavaScript regular expression at the | outside of groups and classes
+ * @param {string} source - the source of a RegExp
+ * @returns {Array} the alternatives as { source, offset } with the position of the source
+ */
+
+function topLevelAlternatives (source) {
+  const alternatives = [{ source: '', offset: 0 }]
+  let depth = 0
+  let inClass = false
+  const chars = [...source]
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i]
+    if (c === '\\') {
+      alternatives[alternatives.length - 1].source += c + (chars[++i] || '')
+      continue
+    }
+    if (inClass) {
+      inClass = c !== ']'
+    } else if (c === '[') {
+      inClass = true
+    } else if (c === '(') {
+      depth++
+    } else if (c === ')') {
+      depth--
+    } else if (c === '|' && depth === 0) {
+      alternatives.push({ source: '', offset: i + 1 })
+      continue
+    }
+    alternatives[alternatives.length - 1].source += c
+  }
+  return alternatives
+}
+
+/**
+ * translate the source of a JavaScript regular expression to the syntax of
+ * {@link RegularExpression.parse} with | as union operator
+ * @param {string} source - the source of a RegExp
+ * @param {string} symbols - the alphabet symbols
+ * @param {number} offset - the position of the source in the whole RegExp for error messages
+ * @returns {Object} { source, start, end } with the translated source and whether the
+ * RegExp is anchored at the start and at the end
+ */
+
+function translateJSSource (source, symbols, offset) {
+  const chars = [...source]
+  let i = 0
+  let out = ''
+  let start = false
+  let end = false
+  const error = message => new Error(`fromJSRegExp: ${message} at position ${offset + i + 1}`)
+  // E for an empty alternative or group
+  const empty = () => out === '' || out.endsWith('(') || out.endsWith('|') ? 'E' : ''
+  // the character after a backslash
+  const escaped = () => {
+    const c = chars[i + 1]
+    if (c === undefined || /[0-9a-zA-Z]/.test(c)) {
+      throw error(`unsupported escape \\${c === undefined ? '' : c}`)
+    }
+    i += 2
+    return c
+  }
+  const symbol = c => {
+    if (!symbols.includes(c)) {
+      throw error(`${c} is not an alphabet symbol`)
+    }
+    return c
+  }
+  const skipLazy = () => {
+    if (chars[i] === '?') {
+      i++
+    }
+  }
+
+  function characterClass () {
+    i++
+    const negated = chars[i] === '^'
+    if (negated) {
+      i++
+    }
+    const members = []
+    while (chars[i] !== ']') {
+      if (chars[i] === undefined) {
+        throw error('missing ]')
+      }
+      const from = chars[i] === '\\' ? escaped() : chars[i++]
+      if (chars[i] === '-' && chars[i + 1] !== ']' && chars[i + 1] !== undefined) {
+        i++
+        const to = chars[i] === '\\' ? escaped() : chars[i++]
+        members.push(c => c >= from && c <= to)
       } else {
-        if (tokens[pos].type === PLUS) {
-          pos++
-          const right = re()
-          return left.sum(right)
-        } else {
-          throw new Error('re: unexpected token: ' + tokens[pos].type)
-        }
+        members.push(c => c === from)
       }
     }
+    i++
+    const matched = [...symbols].filter(c => members.some(m => m(c)) !== negated)
+    return matched.length === 0 ? '0' : '[' + matched.join('') + ']'
+  }
 
-    reString = reString.replace(/\s+/g, '')
-    const anyChar = '(' + [...symbols].join('+') + ')'
-    reString = reString.replace(/\./g, anyChar)
-    tokenize(reString)
-    return re()
+  if (chars[0] === '^') {
+    start = true
+    i++
+  }
+  while (i < chars.length) {
+    const c = chars[i]
+    if (c === '$') {
+      if (i !== chars.length - 1) {
+        throw error('$ is only supported at the end')
+      }
+      end = true
+      i++
+    } else if (c === '^') {
+      throw error('^ is only supported at the beginning')
+    } else if (c === '(') {
+      if (chars[i + 1] === '?') {
+        if (chars[i + 2] !== ':') {
+          throw error('only groups (...) and (?:...) are supported')
+        }
+        i += 2
+      }
+      out += '('
+      i++
+    } else if (c === '|' || c === ')') {
+      out += empty() + c
+      i++
+    } else if (c === '*' || c === '+' || c === '?') {
+      out += c
+      i++
+      skipLazy()
+    } else if (c === '{') {
+      const quantifier = /^\{\d+(,\d*)?\}/.exec(chars.slice(i).join(''))
+      if (quantifier === null) {
+        throw error('unsupported {')
+      }
+      out += quantifier[0]
+      i += quantifier[0].length
+      skipLazy()
+    } else if (c === '[') {
+      out += characterClass()
+    } else if (c === '.') {
+      out += c
+      i++
+    } else if (c === '\\') {
+      out += symbol(escaped())
+    } else {
+      out += symbol(c)
+      i++
+    }
   }
+  return { source: out + empty(), start, end }
 }
 
 module.exports = RegularExpression
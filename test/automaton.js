@@ -2,6 +2,7 @@ var should = require('chai').should()
 var Automaton = require('../automaton.js')
 var Sample = require('../sample-automata')
 var Util = require('../util')
+var Edge = require('../edge')
 
 function randomTest(aut) {
     var a = aut.alphabet
@@ -105,6 +106,16 @@ describe('automaton intersect', function() {
     testAutomaton(Sample.subword('ab').intersect(Sample.subword('ba')), false)
 })
 
+describe('automaton concat', function() {
+    it('concatenation with itself', function() {
+        let a = Sample.onlyWord('ab')
+        let aa = a.concat(a)
+        aa.accepts('abab').should.be.true
+        aa.accepts('ab').should.be.false
+        a.accepts('ab').should.be.true
+    })
+})
+
 describe('automaton star', function() {
     it('subword abb star', function() {
         let a = Sample.subword('abb').star()
@@ -218,3 +229,85 @@ describe('ismorphic', function() {
         a1.isomorphic(a2).should.be.true
     })
 })
+
+describe('epsilon transitions', function() {
+    // (a+b)*a with an epsilon edge into the loop and an epsilon edge to the end
+    var e = new Automaton('epsilon')
+    e.addState('0', true, false)
+    e.addState('1', false, false)
+    e.addState('2', false, false)
+    e.addState('3', false, true)
+    e.addEdge('0', '1', Edge.EPSILON)
+    e.addEdge('1', '1', 'a')
+    e.addEdge('1', '1', 'b')
+    e.addEdge('1', '2', 'a')
+    e.addEdge('2', '3', Edge.EPSILON)
+    e.inLanguage = function (w) {
+        return w.endsWith('a')
+    }
+
+    it('epsilon closure', function() {
+        e.epsilonClosure(new Set([e.getStateByName('0')])).name().should.equal('0,1')
+        e.epsilonClosure(new Set([e.getStateByName('2')])).name().should.equal('2,3')
+        e.delta(e.getStateByName('0'), 'a').name().should.equal('1,2,3')
+    })
+    it('deterministic', function() {
+        e.hasEpsilonTransitions().should.be.true
+        e.isDeterministic().should.be.false
+        e.makeDeterministic().isDeterministic().should.be.true
+    })
+    it('accepts', function() {
+        e.accepts('').should.be.false
+        e.accepts('a').should.be.true
+        e.accepts('ab').should.be.false
+        e.accepts('bba').should.be.true
+    })
+    it('equivalent', function() {
+        e.equivalent(Sample.endsWith('a')).should.be.true
+        e.reduce().equivalent(Sample.endsWith('a')).should.be.true
+    })
+    it('remove epsilon transitions', function() {
+        var r = e.removeEpsilonTransitions()
+        r.hasEpsilonTransitions().should.be.false
+        r.equivalent(Sample.endsWith('a')).should.be.true
+    })
+    it('empty word via epsilon edges', function() {
+        var a = new Automaton('eps')
+        a.addState('0', true, false)
+        a.addState('1', false, true)
+        a.addEdge('0', '1', Edge.EPSILON)
+        a.acceptsEmptyWord().should.be.true
+        a.accepts('').should.be.true
+        a.equivalent(Sample.onlyEmptyWord()).should.be.true
+    })
+    it('intersect', function() {
+        e.intersect(Sample.startsWith('b')).equivalent(
+            Sample.endsWith('a').intersect(Sample.startsWith('b'))
+        ).should.be.true
+    })
+    shortWordTest(e)
+})
+
+describe('distinguishing word', function() {
+    it('equivalent automata', function() {
+        var u = Sample.endsWith('a').union(Sample.endsWith('b'))
+        should.not.exist(u.distinguishingWord(Sample.minLength(1)))
+        should.not.exist(Sample.subword('ab').distinguishingWord(Sample.subword('ab').minimize()))
+    })
+    it('shortest word', function() {
+        var d = Sample.endsWith('ab').distinguishingWord(Sample.endsWith('b'))
+        d.word.should.equal('b')
+        d.acceptedByFirst.should.be.false
+        d.acceptedBySecond.should.be.true
+        d = Sample.subword('aa').distinguishingWord(Sample.subword('a'))
+        d.word.should.equal('a')
+        d = Sample.lengthRange(2, 4).distinguishingWord(Sample.lengthRange(2, 3))
+        d.word.should.equal('aaaa')
+        d.acceptedByFirst.should.be.true
+    })
+    it('empty word', function() {
+        var d = Sample.allWords().distinguishingWord(Sample.minLength(1))
+        d.word.should.equal('')
+        d.acceptedByFirst.should.be.true
+    })
+})
@@ -0,0 +1,773 @@
+var should = require('chai').should()
+var ContextFreeGrammar = require('../cf-grammar')
+var Alphabet = require('../alphabet')
+var Automaton = require('../automaton')
+var Edge = require('../edge')
+var RegularExpression = require('../regexp')
+var Sample = require('../sample-automata')
+
+// membership test for grammars in Chomsky normal form
+function cykAccepts(g, w) {
+    var start = g.getStartVariable()
+    if (w === '') {
+        return g.variables.get(start).rules.includes('')
+    }
+    var v = g.cyk(w)
+    return v[w.length - 1][0].has(start)
+}
+
+// all words up to the given length derivable in a grammar without rules for the empty word
+function derivableWords(g, maxLength) {
+    var words = new Set()
+    var visited = new Set([g.getStartVariable()])
+    var todo = [g.getStartVariable()]
+    while (todo.length > 0) {
+        var form = todo.pop()
+        var i = [...form].findIndex(x => g.isVariable(x))
+        if (i === -1) {
+            words.add(form)
+            continue
+        }
+        for (let r of g.variables.get(form[i]).rules) {
+            var next = form.slice(0, i) + r + form.slice(i + 1)
+            if (next.length <= maxLength && !visited.has(next)) {
+                visited.add(next)
+                todo.push(next)
+            }
+        }
+    }
+    return words
+}
+
+function testCNF(text, maxLength = 6) {
+    it(text.replace(/\n/g, '; '), function() {
+        var g = ContextFreeGrammar.parse(text)
+        var steps = []
+        var cnf = g.toCNF(steps)
+        steps.length.should.equal(6)
+        steps[5].grammar.should.equal(cnf)
+        var check = cnf.checkCNF()
+        check.isCNF.should.equal(true, check.offendingRule)
+        var derivable = derivableWords(g, maxLength)
+        var words = g.terminals.genAllWords()
+        var w
+        while ((w = words.next().value).length <= maxLength) {
+            cykAccepts(cnf, w).should.equal(derivable.has(w), w)
+        }
+    })
+}
+
+describe('context-free grammar', function() {
+    it('parse and toString', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | ab')
+        g.toString().should.equal('terminals: a,b\nrules:\nstart:S->aSb|ab;\n')
+        g.getStartVariable().should.equal('S')
+    })
+    it('checkCNF', function() {
+        ContextFreeGrammar.parse('S -> AB | a\nA -> a\nB -> b').checkCNF().isCNF.should.be.true
+        ContextFreeGrammar.parse('S -> aSb | ab').checkCNF().isCNF.should.be.false
+    })
+    it('newVariableName', function() {
+        var g = ContextFreeGrammar.parse('S -> aAb\nA -> a')
+        g.newVariableName().should.equal('B')
+    })
+})
+
+describe('context-free grammar toCNF', function() {
+    testCNF('S -> aSb | ab')
+    testCNF('S -> aSbS | bSaS | ab | ba')
+    testCNF('S -> ASA | aB\nA -> B | S\nB -> b')
+    testCNF('S -> AbA\nA -> Aa | B\nB -> b | C\nC -> aC')
+    testCNF('S -> aSb | A\nA -> aA | a')
+})
+
+describe('context-free grammar toCNF with empty word', function() {
+    it('nullable start', function() {
+        var g = new ContextFreeGrammar('ab')
+        g.addVariable('S', true)
+        g.addRules('S', 'aSb|')
+        var cnf = g.toCNF()
+        cnf.checkCNF().isCNF.should.be.true
+        var words = new Alphabet('ab').genAllWords()
+        var w
+        while ((w = words.next().value).length <= 6) {
+            var n = w.length / 2
+            cykAccepts(cnf, w).should.equal(w === 'a'.repeat(n) + 'b'.repeat(n), w)
+        }
+    })
+    it('empty language', function() {
+        var g = ContextFreeGrammar.parse('S -> aS')
+        var cnf = g.toCNF()
+        cnf.checkCNF().isCNF.should.be.true
+        cnf.variables.size.should.equal(1)
+    })
+})
+
+describe('context-free grammar Earley parser', function() {
+    it('accepts', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | ab')
+        g.accepts('aabb').should.be.true
+        g.accepts('aab').should.be.false
+        g.accepts('').should.be.false
+    })
+    it('left recursion', function() {
+        var g = ContextFreeGrammar.parse('S -> Sa | Sb | b')
+        g.accepts('b').should.be.true
+        g.accepts('baab').should.be.true
+        g.accepts('ab').should.be.false
+    })
+    it('empty word', function() {
+        var g = new ContextFreeGrammar('ab')
+        g.addVariable('S', true)
+        g.addRules('S', 'ASB|')
+        g.addRules('A', 'a|')
+        g.addRules('B', 'b')
+        g.accepts('').should.be.true
+        g.accepts('b').should.be.true
+        g.accepts('abb').should.be.true
+        g.accepts('aab').should.be.false
+        g.parseTrees('b')[0].toString().should.equal('S(A(ε) S(ε) B(b))')
+    })
+    it('same result as cyk', function() {
+        var g = ContextFreeGrammar.parse('S -> ASA | aB\nA -> B | S\nB -> b')
+        var cnf = g.toCNF()
+        var words = g.terminals.genAllWords()
+        var w
+        while ((w = words.next().value).length <= 6) {
+            g.accepts(w).should.equal(cykAccepts(cnf, w), w)
+        }
+    })
+    it('parse trees', function() {
+        var g = ContextFreeGrammar.parse('S -> SS | a')
+        g.parseTrees('a').map(t => t.toString()).should.deep.equal(['S(a)'])
+        var trees = g.parseTrees('aaa').map(t => t.toString()).sort()
+        trees.should.deep.equal(['S(S(S(a) S(a)) S(a))', 'S(S(a) S(S(a) S(a)))'])
+        g.parseTrees('aaaa').length.should.equal(5)
+        g.parseTrees('aaaa', 3).length.should.equal(3)
+        g.parseTrees('aaaa').forEach(t => t.word().should.equal('aaaa'))
+        g.parseTrees('b').length.should.equal(0)
+    })
+    it('parse forest', function() {
+        var g = ContextFreeGrammar.parse('S -> SS | a')
+        var forest = g.parseForest('aaa')
+        forest.symbol.should.equal('S')
+        forest.alternatives.length.should.equal(2)
+        g.parseForestToString(forest).split('\n')[0].should.equal('S[0,3] -> S[0,1] S[1,3] | S[0,2] S[2,3]')
+        should.not.exist(g.parseForest('b'))
+    })
+    it('cyclic grammar', function() {
+        var g = ContextFreeGrammar.parse('S -> S | A\nA -> S | a')
+        g.accepts('a').should.be.true
+        g.parseTrees('a').map(t => t.toString()).should.deep.equal(['S(A(a))'])
+    })
+})
+
+describe('context-free grammar ambiguity', function() {
+    it('ambiguous', function() {
+        var g = ContextFreeGrammar.parse('S -> SbS | a')
+        var result = g.checkAmbiguity(5)
+        result.isAmbiguous.should.be.true
+        result.word.should.equal('ababa')
+        result.trees[0].toString().should.not.equal(result.trees[1].toString())
+        result.trees.forEach(t => t.word().should.equal('ababa'))
+    })
+    it('ambiguous with empty word', function() {
+        var g = new ContextFreeGrammar('ab')
+        g.addVariable('S', true)
+        g.addRules('S', 'AB|')
+        g.addRules('A', 'a|')
+        g.addRules('B', 'b|')
+        var result = g.checkAmbiguity(3)
+        result.isAmbiguous.should.be.true
+        result.word.should.equal('')
+    })
+    it('unambiguous', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | ab')
+        var result = g.checkAmbiguity(6)
+        result.isAmbiguous.should.be.false
+        should.not.exist(result.word)
+    })
+})
+
+describe('context-free grammar LL(1)', function() {
+    var g = ContextFreeGrammar.parse('S -> TR\nR -> pTR |\nT -> FU\nU -> mFU |\nF -> oSc | a')
+    it('first', function() {
+        var first = g.first()
+        Array.from(first.get('S')).sort().should.deep.equal(['a', 'o'])
+        Array.from(first.get('R')).sort().should.deep.equal(['p', 'ε'])
+        Array.from(g.firstOf('UR')).sort().should.deep.equal(['m', 'p', 'ε'])
+        Array.from(g.firstOf('URc')).sort().should.deep.equal(['c', 'm', 'p'])
+    })
+    it('follow', function() {
+        var follow = g.follow()
+        Array.from(follow.get('S')).sort().should.deep.equal(['$', 'c'])
+        Array.from(follow.get('T')).sort().should.deep.equal(['$', 'c', 'p'])
+        Array.from(follow.get('F')).sort().should.deep.equal(['$', 'c', 'm', 'p'])
+    })
+    it('parse table', function() {
+        var table = g.ll1Table()
+        table.get('R').get('$').should.deep.equal([''])
+        table.get('R').get('p').should.deep.equal(['pTR'])
+        table.get('F').has('c').should.be.false
+        g.isLL1().should.be.true
+        g.ll1Conflicts().should.deep.equal([])
+    })
+    it('conflicts', function() {
+        var h = ContextFreeGrammar.parse('S -> aS | a')
+        h.isLL1().should.be.false
+        h.ll1Conflicts().should.deep.equal([{ variable: 'S', terminal: 'a', rules: ['aS', 'a'] }])
+    })
+    it('parse', function() {
+        var result = g.ll1Parse('apa')
+        result.accepted.should.be.true
+        result.steps[0].should.deep.equal({ stack: 'S$', input: 'apa$', action: 'S->TR' })
+        result.steps[4].should.deep.equal({ stack: 'UR$', input: 'pa$', action: 'U->ε' })
+        result.steps[result.steps.length - 1].action.should.equal('accept')
+        var rejected = g.ll1Parse('ap')
+        rejected.accepted.should.be.false
+        rejected.steps[rejected.steps.length - 1].action.should.equal('error')
+    })
+    it('parse with left recursion stops', function() {
+        var h = ContextFreeGrammar.parse('S -> Sa | b')
+        var result = h.ll1Parse('ba', 50)
+        result.accepted.should.be.false
+        result.steps.length.should.equal(51)
+        result.steps[50].action.should.equal('error: too many steps')
+    })
+    it('output', function() {
+        g.firstFollowToString().split('\n')[0].should.equal('S: FIRST = {a,o}, FOLLOW = {$,c}')
+        g.firstFollowToLatex().should.contain('R & \\{p,\\varepsilon\\} & \\{\\$,c\\}\\\\')
+        g.ll1TableToString().split('\n')[2].should.equal('R |       | R->ε |        |        | R->pTR | R->ε')
+        g.ll1TableToLatex().should.contain('U &  & U\\to \\varepsilon & U\\to mFU &  & U\\to \\varepsilon & U\\to \\varepsilon\\\\')
+        var result = g.ll1Parse('a')
+        g.ll1ParseResultToString(result).split('\n')[1].should.equal('S$    | a$    | S->TR')
+        g.ll1ParseResultToLatex(result).should.contain('aUR\\$ & a\\$ & \\text{match a}\\\\')
+    })
+})
+
+describe('context-free grammar LR', function() {
+    var g = ContextFreeGrammar.parse('S -> SpT | T\nT -> TmF | F\nF -> oSc | a')
+    it('LR(0) automaton', function() {
+        var a = g.lr0Automaton()
+        a.states.size.should.equal(12)
+        a.isDeterministic().should.be.true
+        var start = a.getStateByName('0')
+        start.start.should.be.true
+        start.tag.items.length.should.equal(7)
+        g.lrItemsToString(a).split('\n').slice(0, 3).should.deep.equal(['0:', "  S'->•S", '  S->•SpT'])
+        a.getStateByName(a.deltaStar(new Set([start]), 'oS').values().next().value.name)
+            .tag.items.map(item => item.dot).should.deep.equal([2, 1])
+        a.getStateByName('1').final.should.be.true
+        a.getStateByName('4').final.should.be.false
+    })
+    it('LR(0) automaton to Tikz', function() {
+        var tikz = g.lr0Automaton().convertTikz()
+        tikz[0].should.contain('\\begin{tikzpicture}')
+        tikz.filter(line => line.startsWith('\\node')).length.should.equal(12)
+        tikz.filter(line => line.startsWith('\\draw')).length.should.equal(22)
+    })
+    it('tables', function() {
+        var a = g.lr0Automaton()
+        g.lrConflicts(g.lr0Table(a)).length.should.equal(2)
+        g.lrConflicts(g.lr0Table(a))[0].type.should.equal('shift-reduce')
+        g.isLR0().should.be.false
+        g.isSLR1().should.be.true
+        g.isLALR1().should.be.true
+        var table = g.slrTable(a)
+        table.action.get('0').get('a').should.deep.equal([{ type: 'shift', state: '5' }])
+        table.action.get('1').get('$').should.deep.equal([{ type: 'accept' }])
+        table.action.get('2').get('p').should.deep.equal([{ type: 'reduce', variable: 'S', rule: 'T' }])
+        table.action.get('2').has('o').should.be.false
+        table.goto.get('4').get('S').should.equal('8')
+    })
+    it('LALR(1) but not SLR(1)', function() {
+        var h = ContextFreeGrammar.parse('S -> LqR | R\nL -> pR | i\nR -> L')
+        var conflicts = h.lrConflicts(h.slrTable())
+        conflicts.length.should.equal(1)
+        conflicts[0].terminal.should.equal('q')
+        conflicts[0].type.should.equal('shift-reduce')
+        h.isSLR1().should.be.false
+        h.isLALR1().should.be.true
+        h.lrParse('piqi').accepted.should.be.true
+        h.lrParse('iq').accepted.should.be.false
+    })
+    it('reduce-reduce conflict', function() {
+        var h = ContextFreeGrammar.parse('S -> A | B\nA -> a\nB -> a')
+        var conflicts = h.lrConflicts(h.lalrTable())
+        conflicts.length.should.equal(1)
+        conflicts[0].type.should.equal('reduce-reduce')
+    })
+    it('non-generating variables', function() {
+        var h = ContextFreeGrammar.parse('S -> | AB | c\nA -> B\nB -> B')
+        var table = h.lalrTable()
+        table.action.get('0').get('$').should.deep.equal([{ type: 'reduce', variable: 'S', rule: '' }])
+        h.lrParse('c').accepted.should.be.true
+        h.lrParse('').accepted.should.be.true
+        h.lrParse('cc').accepted.should.be.false
+    })
+    it('parse', function() {
+        var result = g.lrParse('apa')
+        result.accepted.should.be.true
+        result.steps[0].should.deep.equal({ stack: '0', input: 'apa$', action: 'shift 5' })
+        result.steps[1].should.deep.equal({ stack: '0 a 5', input: 'pa$', action: 'reduce F->a' })
+        result.steps[result.steps.length - 1].should.deep.equal({ stack: '0 S 1', input: '$', action: 'accept' })
+        g.lrParse('ap', g.slrTable()).accepted.should.be.false
+        var h = ContextFreeGrammar.parse('S -> aSb |')
+        h.isLR0().should.be.false
+        h.lrParse('aabb').accepted.should.be.true
+        h.lrParse('').accepted.should.be.true
+        h.lrParse('aab').accepted.should.be.false
+    })
+    it('output', function() {
+        var h = ContextFreeGrammar.parse('S -> aSb |')
+        var table = h.lalrTable()
+        h.lrTableToString(table).split('\n').should.deep.equal([
+            '  | a  | b        | $        | S',
+            '0 | s2 |          | r S->ε   | 1',
+            '1 |    |          | acc      |',
+            '2 | s2 | r S->ε   |          | 3',
+            '3 |    | s4       |          |',
+            '4 |    | r S->aSb | r S->aSb |'
+        ])
+        h.lrTableToLatex(table).should.contain('2 & s2 & r S\\to \\varepsilon &  & 3\\\\')
+        var result = h.lrParse('ab')
+        h.lrParseResultToString(result).split('\n')[2].should.equal('0 a 2         | b$    | reduce S->ε')
+        h.lrParseResultToLatex(result).should.contain('0\\;a\\;2 & b\\$ & \\text{reduce }S\\to \\varepsilon\\\\')
+    })
+})
+
+// compare the words up to the given length accepted by two grammars
+function sameWords(g, h, maxLength) {
+    var words = g.terminals.genAllWords()
+    var w
+    while ((w = words.next().value).length <= maxLength) {
+        h.accepts(w).should.equal(g.accepts(w), w)
+    }
+}
+
+describe('context-free grammar simplification', function() {
+    it('remove non-generating variables', function() {
+        var g = ContextFreeGrammar.parse('S -> AB | a\nA -> aA\nB -> b')
+        var result = g.removeNonGeneratingVariables()
+        result.grammar.toString().should.equal('terminals: a,b\nrules:\nstart:S->a;\nB->b;\n')
+        result.log.should.deep.equal(['remove S->AB', 'A derives no word', 'remove A'])
+        g.variables.size.should.equal(3)
+    })
+    it('remove non-generating start variable', function() {
+        var g = ContextFreeGrammar.parse('S -> aS')
+        var result = g.removeNonGeneratingVariables()
+        result.grammar.getStartVariable().should.equal('S')
+        result.grammar.variables.get('S').rules.should.deep.equal([])
+    })
+    it('remove unreachable variables', function() {
+        var g = ContextFreeGrammar.parse('S -> a | B\nB -> b\nC -> c')
+        var result = g.removeUnreachableVariables()
+        result.grammar.toString().should.equal('terminals: a,b,c\nrules:\nstart:S->a|B;\nB->b;\n')
+        result.log.should.deep.equal(['remove C, it is not reachable from S'])
+    })
+    it('eliminate empty rules', function() {
+        var g = ContextFreeGrammar.parse('S -> AbB\nA -> a |\nB -> b |')
+        var result = g.eliminateEmptyRules()
+        result.grammar.toString().should.equal('terminals: a,b\nrules:\nstart:S->AbB|Ab|bB|b;\nA->a;\nB->b;\n')
+        result.log.should.include('remove A->ε')
+        result.log.should.include('add S->bB for S->AbB')
+        sameWords(g, result.grammar, 5)
+    })
+    it('eliminate empty rules with nullable start variable', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | SS |')
+        var result = g.eliminateEmptyRules()
+        var start = result.grammar.getStartVariable()
+        start.should.not.equal('S')
+        result.grammar.variables.get(start).rules.should.deep.equal(['S', ''])
+        result.grammar.variables.get('S').rules.should.not.include('')
+        result.log[0].should.equal(`add new start variable ${start} with rule ${start}->S`)
+        sameWords(g, result.grammar, 6)
+    })
+    it('eliminate unit rules', function() {
+        var g = ContextFreeGrammar.parse('S -> A | a\nA -> B | b\nB -> S | c')
+        var result = g.eliminateUnitRules()
+        result.grammar.variables.get('S').rules.should.deep.equal(['a', 'b', 'c'])
+        result.log.should.include('remove A->B')
+        result.log.should.include('add S->c since S derives B by unit rules')
+        sameWords(g, result.grammar, 3)
+    })
+    it('eliminate direct left recursion', function() {
+        var g = ContextFreeGrammar.parse('S -> SpT | T\nT -> TmF | F\nF -> oSc | a')
+        var result = g.eliminateLeftRecursion()
+        result.grammar.toString().should.equal('terminals: a,c,m,o,p\nrules:\nstart:S->TA;\nT->FB;\nF->oSc|a;\nA->pTA|;\nB->mFB|;\n')
+        result.log.should.deep.equal([
+            'eliminate direct left recursion of S with new variable A',
+            'eliminate direct left recursion of T with new variable B'
+        ])
+        result.grammar.isLL1().should.be.true
+        sameWords(g, result.grammar, 5)
+    })
+    it('eliminate indirect left recursion', function() {
+        var g = ContextFreeGrammar.parse('S -> Aa | b\nA -> Ac | Sd |')
+        var result = g.eliminateLeftRecursion()
+        result.log[0].should.equal('the grammar has rules with the empty word, they are eliminated first')
+        result.log.should.include('replace A->Sd by A->Aad|ad|bd')
+        result.grammar.variables.get('A').rules.should.deep.equal(['cB', 'adB', 'bdB'])
+        result.grammar.variables.get('B').rules.should.deep.equal(['cB', 'adB', ''])
+        sameWords(g, result.grammar, 6)
+    })
+    it('eliminate left recursion with unit cycles', function() {
+        var g = ContextFreeGrammar.parse('S -> A | Sa | b\nA -> S | c')
+        var result = g.eliminateLeftRecursion()
+        result.log[0].should.equal('the grammar has cycles of unit rules, unit rules are eliminated first')
+        result.grammar.variables.forEach((value, key) => {
+            value.rules.forEach(r => (r[0] === key).should.be.false)
+        })
+        sameWords(g, result.grammar, 5)
+    })
+})
+
+function testGNF(text, maxLength = 6) {
+    it(text.replace(/\n/g, '; '), function() {
+        var g = ContextFreeGrammar.parse(text)
+        var steps = []
+        var gnf = g.toGNF(steps)
+        steps.length.should.equal(3)
+        steps[2].grammar.should.equal(gnf)
+        var check = gnf.checkGNF()
+        check.isGNF.should.equal(true, check.offendingRule)
+        sameWords(g, gnf, maxLength)
+    })
+}
+
+describe('context-free grammar to GNF', function() {
+    it('checkGNF', function() {
+        ContextFreeGrammar.parse('S -> aSB | a\nB -> b').checkGNF().isGNF.should.be.true
+        ContextFreeGrammar.parse('S -> aSb | a').checkGNF().should.deep.equal({
+            isGNF: false, offendingRule: 'terminal after the first symbol in: S->aSb'
+        })
+        ContextFreeGrammar.parse('S -> Sa | a').checkGNF().should.deep.equal({
+            isGNF: false, offendingRule: 'S is not a terminal in: S->Sa'
+        })
+        ContextFreeGrammar.parse('S -> aA |\nA -> a').checkGNF().isGNF.should.be.true
+        ContextFreeGrammar.parse('S -> aS |').checkGNF().should.deep.equal({
+            isGNF: false, offendingRule: 'empty word: S->ε'
+        })
+    })
+    testGNF('S -> aSb | ab')
+    testGNF('S -> aSb | SS |')
+    testGNF('S -> SpT | T\nT -> TmF | F\nF -> oSc | a', 5)
+    testGNF('S -> Aa | b\nA -> Ac | Sd |')
+    testGNF('S -> AB\nA -> BS | b\nB -> SA | a')
+    testGNF('S -> a | ABa\nA -> | B\nB -> BSS | | BBS')
+    it('size of the result', function() {
+        var gnf = ContextFreeGrammar.parse('S -> a | ABa\nA -> | B\nB -> BSS | | BBS').toGNF()
+        var rules = [...gnf.variables.values()].reduce((n, value) => n + value.rules.length, 0)
+        rules.should.be.at.most(100)
+        gnf.accepts('aaa').should.be.true
+    })
+})
+
+describe('regular grammars', function() {
+    it('right- and left-linear', function() {
+        var g = ContextFreeGrammar.parse('S -> abS | aA |\nA -> bA | B\nB -> a')
+        g.isRightLinear().should.be.true
+        g.isLeftLinear().should.be.false
+        g.isRegular().should.be.true
+        var h = ContextFreeGrammar.parse('S -> Sab | Aa | b\nA -> Ab | a')
+        h.isRightLinear().should.be.false
+        h.isLeftLinear().should.be.true
+        var k = ContextFreeGrammar.parse('S -> aSb |')
+        k.isRegular().should.be.false
+        should.throw(() => k.toAutomaton())
+    })
+    it('right-linear grammar to automaton', function() {
+        var g = ContextFreeGrammar.parse('S -> abS | aA |\nA -> bA | B\nB -> a')
+        var a = g.toAutomaton()
+        a.getStateByName('S').start.should.be.true
+        a.getStateByName('S').final.should.be.true
+        a.getStateByName('F').final.should.be.true
+        a.hasEpsilonTransitions().should.be.true
+        a.states.size.should.equal(5)
+        sameWords(g, a, 7)
+    })
+    it('left-linear grammar to automaton', function() {
+        var g = ContextFreeGrammar.parse('S -> Sab | Aa | b\nA -> Ab | a')
+        var a = g.toAutomaton()
+        a.accepts('abbaab').should.be.true
+        a.accepts('aab').should.be.false
+        sameWords(g, a, 7)
+    })
+    it('automaton to right-linear grammar', function() {
+        var a = RegularExpression.parse('(a+b)*abb').equivalentAutomaton
+        var g = ContextFreeGrammar.fromAutomaton(a)
+        g.isRightLinear().should.be.true
+        g.toString().should.equal('terminals: a,b\nrules:\nstart:S->aA|bS;\nA->aA|bB;\nB->aA|bC;\nC->aA|bS|;\n')
+        g.toLatex().should.contain('C &\\to&aA\\,|\\,bS\\,|\\,\\varepsilon\\\\')
+        g.variables.get('S').state.should.equal([...a.getStartStates()][0].name)
+        g.toAutomaton().equivalent(a).should.be.true
+    })
+    it('automaton with several start states and epsilon edges to grammar', function() {
+        var a = new Automaton('N', 'ab')
+        a.addState('p', true)
+        a.addState('q', true)
+        a.addState('r', false, true)
+        a.addEdge('p', 'r', 'a')
+        a.addEdge('q', 'q', 'b')
+        a.addEdge('q', 'r', Edge.EPSILON)
+        var g = ContextFreeGrammar.fromAutomaton(a)
+        g.variables.get('S').rules.length.should.equal(2)
+        g.toAutomaton().equivalent(a).should.be.true
+        sameWords(g, a, 5)
+    })
+})
+
+describe('context-free grammar words', function() {
+    it('generated words in shortlex order', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | SS |')
+        var words = [...g.generatedWords(6)]
+        words.should.deep.equal(['', 'ab', 'aabb', 'abab', 'aaabbb', 'aababb', 'aabbab', 'abaabb', 'ababab'])
+    })
+    it('generated words with unsorted terminals', function() {
+        var g = new ContextFreeGrammar('ba')
+        g.addVariable('S', true)
+        g.addRules('S', 'aS|bS|a|b')
+        ;[...g.generatedWords(2)].should.deep.equal(['b', 'a', 'bb', 'ba', 'ab', 'aa'])
+    })
+    it('generated words agree with accepts', function() {
+        var g = ContextFreeGrammar.parse('S -> aSbS | bSaS |')
+        var generated = new Set(g.generatedWords(6))
+        var words = g.terminals.genAllWords()
+        var w
+        while ((w = words.next().value).length <= 6) {
+            generated.has(w).should.equal(g.accepts(w), w)
+        }
+    })
+    it('random word', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | SS |')
+        for (var i = 0; i < 20; i++) {
+            var w = g.randomWord(8)
+            w.length.should.equal(8)
+            g.accepts(w).should.be.true
+        }
+        should.not.exist(g.randomWord(7))
+        g.randomWord(0).should.equal('')
+        should.not.exist(ContextFreeGrammar.parse('S -> aSb | ab').randomWord(0))
+    })
+    it('random words are uniformly distributed', function() {
+        // aab has two parse trees, abb only one
+        var g = ContextFreeGrammar.parse('S -> Ab | aB\nA -> aA | Aa | a\nB -> bB | b')
+        var n = 3000
+        var count = 0
+        for (var i = 0; i < n; i++) {
+            var w = g.randomWord(3)
+            ;['aab', 'abb'].should.include(w)
+            if (w === 'aab') {
+                count++
+            }
+        }
+        (count / n).should.be.within(0.4, 0.6)
+    })
+})
+
+describe('context-free grammar decision procedures', function() {
+    it('isEmpty', function() {
+        ContextFreeGrammar.parse('S -> aSb | ab').isEmpty().should.be.false
+        ContextFreeGrammar.parse('S -> aA\nA -> bA').isEmpty().should.be.true
+        ContextFreeGrammar.parse('S -> AB\nA -> a\nB -> bB').isEmpty().should.be.true
+        ContextFreeGrammar.parse('S -> aA |\nA -> bA').isEmpty().should.be.false
+    })
+    it('isFinite', function() {
+        ContextFreeGrammar.parse('S -> aSb | ab').isFinite().should.be.false
+        ContextFreeGrammar.parse('S -> aA | b\nA -> bB | a\nB -> c |').isFinite().should.be.true
+        ContextFreeGrammar.parse('S -> aA\nA -> bA').isFinite().should.be.true
+        // the cycle only consists of useless variables or unit rules
+        ContextFreeGrammar.parse('S -> a | B\nB -> bB').isFinite().should.be.true
+        ContextFreeGrammar.parse('S -> A | a\nA -> S').isFinite().should.be.true
+        ContextFreeGrammar.parse('S -> AS | a\nA -> |').isFinite().should.be.true
+    })
+    it('countWords', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | SS |')
+        ;[0, 1, 2, 3, 4, 5, 6, 7, 8].map(n => g.countWords(n)).should.deep.equal([1, 0, 1, 0, 2, 0, 5, 0, 14])
+        ContextFreeGrammar.parse('S -> SbS | a').countWords(5).should.equal(1)
+    })
+    it('countDerivations', function() {
+        var g = ContextFreeGrammar.parse('S -> SbS | a')
+        g.countDerivations('a').should.equal(1)
+        g.countDerivations('ababa').should.equal(2)
+        g.countDerivations('abababa').should.equal(5)
+        g.countDerivations('abab').should.equal(0)
+        ContextFreeGrammar.parse('S -> AB | BA\nA -> a\nB -> b').countDerivations('ab').should.equal(1)
+        var h = ContextFreeGrammar.parse('S -> AB |\nA -> a | AA\nB -> b')
+        h.countDerivations('aaab').should.equal(2)
+        h.countDerivations('').should.equal(1)
+    })
+    it('countDerivations of an ambiguous grammar not in CNF', function() {
+        var g = ContextFreeGrammar.parse('S -> A | B\nA -> a\nB -> a')
+        g.countDerivations('a').should.equal(2)
+        g.countDerivations('a').should.equal(g.parseTrees('a').length)
+        g.countDerivations('b').should.equal(0)
+        var e = ContextFreeGrammar.parse('E -> EpE | EmE | a')
+        e.countDerivations('apamapa').should.equal(5)
+        e.countDerivations('apamapa').should.equal(e.parseTrees('apamapa').length)
+        var cyclic = ContextFreeGrammar.parse('S -> A | a\nA -> S | a')
+        cyclic.countDerivations('a').should.equal(cyclic.parseTrees('a').length)
+    })
+})
+
+describe('context-free grammar intersection with automaton', function() {
+    it('intersection with a regular language', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | SS |')
+        var h = g.intersect(RegularExpression.parse('a*b*').equivalentAutomaton)
+        ;[...h.generatedWords(8)].should.deep.equal(['', 'ab', 'aabb', 'aaabbb', 'aaaabbbb'])
+        h.variables.get('S').triple.should.equal('start')
+        h.variables.get('A').triple.should.match(/^\[\d+,\w,\d+\]$/)
+    })
+    it('intersection agrees with accepts', function() {
+        var g = ContextFreeGrammar.parse('S -> aSbS | bSaS |')
+        var a = Sample.startsWith('ab')
+        var h = g.intersect(a)
+        var words = g.terminals.genAllWords()
+        var w
+        while ((w = words.next().value).length <= 6) {
+            h.accepts(w).should.equal(g.accepts(w) && a.accepts(w), w)
+        }
+    })
+    it('intersection with automaton with epsilon edges', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | ab')
+        var a = new Automaton('N', 'ab')
+        a.addState('p', true)
+        a.addState('q')
+        a.addState('r', false, true)
+        a.addEdge('p', 'p', 'a')
+        a.addEdge('p', 'q', Edge.EPSILON)
+        a.addEdge('q', 'r', 'b')
+        a.addEdge('q', 'q', 'a')
+        ;[...g.intersect(a).generatedWords(6)].should.deep.equal(['ab'])
+    })
+    it('check for forbidden subwords', function() {
+        var aa = Sample.subword('aa')
+        ContextFreeGrammar.parse('S -> abS |').intersect(aa).isEmpty().should.be.true
+        ContextFreeGrammar.parse('S -> aSb | ab').intersect(aa).isEmpty().should.be.false
+    })
+})
+
+// a seeded random number generator (mulberry32) for reproducible random words
+function seededRandom(seed) {
+    return function() {
+        seed = (seed + 0x6D2B79F5) | 0
+        var t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+describe('context-free grammar similarity', function() {
+    var reference = ContextFreeGrammar.parse('S -> aSb | SS |')
+    it('equivalent grammars', function() {
+        var g = ContextFreeGrammar.parse('S -> aSbS |')
+        var result = reference.similarity(g, 6, 30)
+        result.correct.should.equal(result.count)
+        result.count.should.be.at.least(127)
+        result.counterexamples.should.deep.equal([])
+    })
+    it('counterexamples up to the maximal length', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | SS | ab | ba')
+        var result = reference.similarity(g, 4)
+        result.count.should.equal(31)
+        result.counterexamples.map(c => c.word).should.deep.equal(['', 'ba', 'abba', 'baab', 'baba'])
+        result.counterexamples[0].should.deep.equal({ word: '', acceptedByFirst: true, acceptedBySecond: false })
+        result.correct.should.equal(26)
+    })
+    it('counterexamples among random longer words', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb |')
+        var result = reference.similarity(g, 3, 40, 12, seededRandom(42))
+        result.counterexamples.length.should.be.above(0)
+        reference.similarity(g, 3, 40, 12, seededRandom(42)).should.deep.equal(result)
+        result.counterexamples.forEach(c => {
+            c.word.length.should.be.within(4, 12)
+            c.acceptedByFirst.should.be.true
+            c.acceptedBySecond.should.be.false
+        })
+    })
+    it('words over the terminals of both grammars', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | SS | c |')
+        var result = reference.similarity(g, 2)
+        result.count.should.equal(13)
+        result.counterexamples.map(c => c.word).should.deep.equal(['c', 'cc'])
+        result.counterexamples[0].should.deep.equal({ word: 'c', acceptedByFirst: false, acceptedBySecond: true })
+    })
+})
+
+describe('context-free grammar text format', function() {
+    var arithmetic = ContextFreeGrammar.parse(`# arithmetic expressions
+<Expr> -> <Expr> '+' <Term> | <Term>
+<Term> ::= <Term> '*' "Factor"
+       | <Factor>   # continues the rules of <Term>
+<Factor> → '(' <Expr> ')' | 0 | 1`)
+    it('multi-character variables and quoted terminals', function() {
+        arithmetic.getStartVariable().should.equal('<Expr>')
+        ;[...arithmetic.variables.keys()].should.deep.equal(['<Expr>', '<Term>', '<Factor>'])
+        arithmetic.terminals.symbols.should.deep.equal(['(', ')', '*', '+', '0', '1'])
+        arithmetic.variables.get('<Term>').rules.should.deep.equal(['<Term>*<Factor>', '<Factor>'])
+        arithmetic.symbols('<Term>*<Factor>').should.deep.equal(['<Term>', '*', '<Factor>'])
+        arithmetic.accepts('(1+0)*1').should.be.true
+        arithmetic.accepts('1+').should.be.false
+        arithmetic.isLALR1().should.be.true
+        arithmetic.lrParse('1*(0+1)').accepted.should.be.true
+        arithmetic.toLatex().should.contain('\\langle\\mathit{Expr}\\rangle')
+        ContextFreeGrammar.parse(arithmetic.toString().replace(/^(terminals|rules):.*$|start:|;/gm, '')
+            .replace(/([()*+])/g, "'$1'")).toString().should.equal(arithmetic.toString())
+    })
+    it('normal forms with multi-character variables', function() {
+        var cnf = arithmetic.toCNF()
+        cnf.checkCNF().isCNF.should.be.true
+        sameWords(arithmetic, cnf, 5)
+    })
+    it('LL(1) parsing with multi-character variables', function() {
+        var g = ContextFreeGrammar.parse(`<Expr> -> <Term> <Expr2>
+<Expr2> -> '+' <Term> <Expr2> | E
+<Term> -> 'x' | '(' <Expr> ')'`)
+        g.isLL1().should.be.true
+        var result = g.ll1Parse('x+(x)')
+        result.accepted.should.be.true
+        result.steps[0].should.deep.equal({ stack: '<Expr>$', input: 'x+(x)$', action: '<Expr>-><Term><Expr2>' })
+        result.steps[1].stack.should.equal('<Term><Expr2>$')
+        result.steps.map(s => s.action).should.contain('<Expr2>->ε')
+        g.ll1Parse('x+x').accepted.should.be.true
+        g.ll1Parse('x+').accepted.should.be.false
+    })
+    it('empty word', function() {
+        ContextFreeGrammar.parse('S -> aSb | ε').variables.get('S').rules.should.deep.equal(['aSb', ''])
+        ContextFreeGrammar.parse('S -> aSb | E').variables.get('S').rules.should.deep.equal(['aSb', ''])
+        ContextFreeGrammar.parse('S -> aSb | ε |').variables.get('S').rules.should.deep.equal(['aSb', ''])
+        var g = ContextFreeGrammar.parse("E -> E'+'T | T\nT -> a")
+        g.getStartVariable().should.equal('E')
+        g.variables.get('E').rules.should.deep.equal(['E+T', 'T'])
+        g.accepts('a+a').should.be.true
+    })
+    it('error messages with line and column', function() {
+        var errors = {
+            'S -> a\n  A ->> b': 'line 2, column 7: unexpected >, a line may contain only one rule',
+            'S a': 'line 1, column 3: expected -> after S',
+            '| a': 'line 1, column 1: a rule must start with a variable',
+            'S -> a + b': "line 1, column 8: unexpected character +, write terminals like '+'",
+            "S -> 'ab'": "line 1, column 6: a quoted terminal must be a single character like '+'",
+            'S -> <A': 'line 1, column 6: missing > after the name of a variable',
+            "<S> -> '<'": "line 1, column 1: the terminal '<' can't be used together with variables like <S>",
+            '# only a comment': 'there are no rules'
+        }
+        Object.keys(errors).forEach(text => {
+            (() => ContextFreeGrammar.parse(text)).should.throw(errors[text])
+        })
+        ContextFreeGrammar.checkRuleText('S -> a + b').should.be.false
+        ContextFreeGrammar.ruleTextError('S -> a + b').should.equal("line 1, column 8: unexpected character +, write terminals like '+'")
+        ContextFreeGrammar.checkRuleText("S -> a '+' b | ε").should.be.true
+        should.equal(ContextFreeGrammar.ruleTextError('S -> aS | b'), null)
+    })
+    it('new variables after the single letters are used', function() {
+        var g = new ContextFreeGrammar('ab')
+        for (var i = 0; i < 51; i++) {
+            g.addVariable(g.newVariableName())
+        }
+        g.variables.has('Γ').should.be.true
+        g.newVariableName().should.equal('<A1>')
+        g.addVariable('<A1>')
+        g.newVariableName().should.equal('<A2>')
+    })
+})
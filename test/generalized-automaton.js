@@ -55,3 +55,43 @@ describe('GeneralizedAutomaton', function() {
     testRegularExpression('(a+b)*(a+b)*bb(a+b)*(a+b)*')
     testRegularExpression('ab(a+b)*ab(a+b)*ab')
 })
+
+describe('GeneralizedAutomaton elimination order', function() {
+    var automata = [
+        Sample.subword('aba').complement(),
+        Sample.lengthRange(5, 9),
+        Sample.subword('ab').intersect(Sample.subword('ba'))
+    ]
+    it('all orders give equivalent regular expressions', function() {
+        for (let a of automata) {
+            for (let order of ['states', 'edges', 'weight']) {
+                GeneralizedAutomaton.copyOf(a).equivalentRE(order).equivalentAutomaton.equivalent(a).should.be.true
+            }
+        }
+    })
+    it('heuristics give shorter regular expressions', function() {
+        for (let a of automata) {
+            var length = GeneralizedAutomaton.copyOf(a).equivalentRE().toString().length
+            GeneralizedAutomaton.copyOf(a).equivalentRE('edges').toString().length.should.be.at.most(length)
+            GeneralizedAutomaton.copyOf(a).equivalentRE('weight').toString().length.should.be.at.most(length)
+        }
+        GeneralizedAutomaton.copyOf(Sample.lengthRange(5, 9)).equivalentRE('weight').toString().length.should.be.below(100)
+    })
+    it('given order', function() {
+        var a = Sample.endsWith('ab')
+        GeneralizedAutomaton.copyOf(a).equivalentRE(['2', '1']).toString().should.equal('(a+b)*ab')
+        GeneralizedAutomaton.copyOf(a).equivalentRE(['0']).equivalentAutomaton.equivalent(a).should.be.true
+        ;(() => GeneralizedAutomaton.copyOf(a).equivalentRE(['start'])).should.throw('equivalentRE: start is not a state that can be eliminated')
+        ;(() => GeneralizedAutomaton.copyOf(a).equivalentRE('random')).should.throw('equivalentRE: unknown order random')
+    })
+    it('steps', function() {
+        var steps = []
+        GeneralizedAutomaton.copyOf(Sample.endsWith('ab')).equivalentRE(['2', '1'], steps)
+        steps.map(s => s.description).should.deep.equal(['generalized automaton', 'eliminate state 2', 'eliminate state 1', 'eliminate state 0'])
+        steps.map(s => s.automaton.states.size).should.deep.equal([5, 4, 3, 2])
+        var last = [...steps[3].automaton.edges]
+        last.length.should.equal(1)
+        last[0].re.toString().should.equal('(a+b)*ab')
+        steps[0].automaton.getStateByName('1').edgesOut.size.should.equal(1)
+    })
+})
@@ -0,0 +1,48 @@
+var should = require('chai').should()
+var ParseTree = require('../parse-tree')
+var ContextFreeGrammar = require('../cf-grammar')
+
+describe('parse tree', function() {
+    var g = ContextFreeGrammar.parse('S -> AB\nA -> aA | a\nB -> bB | b')
+    var t = g.parseTree('aabb')
+
+    it('word and toString', function() {
+        t.word().should.equal('aabb')
+        t.rule().should.equal('AB')
+        t.toString().should.equal('S(A(a A(a)) B(b B(b)))')
+    })
+    it('leftmost derivation', function() {
+        t.leftmostDerivation().should.deep.equal(['S', 'AB', 'aAB', 'aaB', 'aabB', 'aabb'])
+        ParseTree.derivationToString(t.leftmostDerivation())
+            .should.equal('S => AB => aAB => aaB => aabB => aabb')
+    })
+    it('rightmost derivation', function() {
+        t.rightmostDerivation().should.deep.equal(['S', 'AB', 'AbB', 'Abb', 'aAbb', 'aabb'])
+        ParseTree.derivationToLatex(t.rightmostDerivation())
+            .should.equal('\\[\nS \\Rightarrow AB \\Rightarrow AbB \\Rightarrow Abb \\Rightarrow aAbb \\Rightarrow aabb\n\\]')
+    })
+    it('empty word', function() {
+        var e = new ParseTree('S', [new ParseTree('a'), new ParseTree('S', [new ParseTree(ParseTree.EPSILON)])])
+        e.word().should.equal('a')
+        e.leftmostDerivation().should.deep.equal(['S', 'aS', 'a'])
+        ParseTree.derivationToString(new ParseTree('S', [new ParseTree(ParseTree.EPSILON)]).leftmostDerivation())
+            .should.equal('S => ε')
+    })
+    it('toJSON', function() {
+        JSON.parse(t.toJSON()).children[0].children[0].should.deep.equal({ symbol: 'a' })
+    })
+    it('toTikz', function() {
+        var lines = t.toTikz().split('\n')
+        lines[0].should.equal('\\begin{tikzpicture}[level distance=1.2cm]')
+        lines[1].should.equal('\\node {$S$} [sibling distance=2cm]')
+        lines[2].should.equal('  child {node {$A$} [sibling distance=1cm]')
+        lines[lines.length - 1].should.equal('\\end{tikzpicture}')
+    })
+    it('from cyk', function() {
+        var cnf = ContextFreeGrammar.parse('S -> AB | AC\nC -> SB\nA -> a\nB -> b')
+        var w = 'aabb'
+        var tree = cnf.cykResultToParseTree(w, cnf.cyk(w))
+        tree.toString().should.equal('S(A(a) C(S(A(a) B(b)) B(b)))')
+        should.not.exist(cnf.cykResultToParseTree('abb', cnf.cyk('abb')))
+    })
+})
@@ -0,0 +1,131 @@
+var should = require('chai').should()
+var PushdownAutomaton = require('../pushdown-automaton')
+var ContextFreeGrammar = require('../cf-grammar')
+var Alphabet = require('../alphabet')
+var Edge = require('../edge')
+
+// a^n b^n with n >= 1, accepted by final state
+function anbn() {
+    var p = new PushdownAutomaton('anbn', 'ab', 'ZA')
+    p.addState('0', true)
+    p.addState('1')
+    p.addState('2', false, true)
+    p.addEdge('0', '0', 'a', 'Z', 'AZ')
+    p.addEdge('0', '0', 'a', 'A', 'AA')
+    p.addEdge('0', '1', 'b', 'A', '')
+    p.addEdge('1', '1', 'b', 'A', '')
+    p.addEdge('1', '2', Edge.EPSILON, 'Z', 'Z')
+    p.inLanguage = function (w) {
+        var n = w.length / 2
+        return n >= 1 && w === 'a'.repeat(n) + 'b'.repeat(n)
+    }
+    return p
+}
+
+// palindromes of even length, accepted by empty stack
+function evenPalindromes() {
+    var p = new PushdownAutomaton('ww^R', 'ab', 'Zab', 'Z', PushdownAutomaton.EMPTY_STACK)
+    p.addState('push', true)
+    p.addState('pop')
+    for (let x of 'ab') {
+        for (let X of 'Zab') {
+            p.addEdge('push', 'push', x, X, x + X)
+        }
+    }
+    for (let X of 'Zab') {
+        p.addEdge('push', 'pop', Edge.EPSILON, X, X)
+    }
+    p.addEdge('pop', 'pop', 'a', 'a', '')
+    p.addEdge('pop', 'pop', 'b', 'b', '')
+    p.addEdge('pop', 'pop', Edge.EPSILON, 'Z', '')
+    p.inLanguage = function (w) {
+        return w.length % 2 === 0 && w === [...w].reverse().join('')
+    }
+    return p
+}
+
+function testLanguage(p, maxLength = 6) {
+    var words = new Alphabet('ab').genAllWords()
+    var w
+    while ((w = words.next().value).length <= maxLength) {
+        p.accepts(w).should.equal(p.inLanguage(w), w)
+    }
+}
+
+describe('pushdown automaton', function() {
+    it('accepts by final state', function() {
+        testLanguage(anbn())
+    })
+    it('accepts by empty stack', function() {
+        testLanguage(evenPalindromes())
+    })
+    it('computation', function() {
+        var c = anbn().computation('aabb')
+        c.length.should.equal(6)
+        PushdownAutomaton.configurationToString(c[0]).should.equal('(0, aabb, Z)')
+        PushdownAutomaton.configurationToString(c[5]).should.equal('(2, ε, Z)')
+        should.not.exist(anbn().computation('aab'))
+    })
+    it('limit of the configurations', function() {
+        var p = new PushdownAutomaton('P', 'ab', 'Z')
+        p.addState('0', true)
+        p.addState('1', false, true)
+        p.addEdge('0', '0', Edge.EPSILON, 'Z', 'ZZ')
+        p.addEdge('0', '1', 'a', 'Z', 'Z')
+        p.accepts('a').should.be.true
+        ;(() => p.accepts('b', 100)).should.throw('computation: no decision for b within 100 configurations')
+    })
+    it('toEmptyStack', function() {
+        var p = anbn().toEmptyStack()
+        p.acceptance.should.equal(PushdownAutomaton.EMPTY_STACK)
+        p.inLanguage = anbn().inLanguage
+        testLanguage(p)
+    })
+    it('toFinalState', function() {
+        var p = evenPalindromes().toFinalState()
+        p.acceptance.should.equal(PushdownAutomaton.FINAL_STATE)
+        p.inLanguage = evenPalindromes().inLanguage
+        testLanguage(p)
+    })
+    it('addEdge with unknown stack symbol', function() {
+        var p = new PushdownAutomaton('P', 'ab', 'Z')
+        p.addState('0', true)
+        ;(() => p.addEdge('0', '0', 'a', 'Z', 'X')).should.throw()
+    })
+    it('toString and toJSON', function() {
+        var p = anbn()
+        p.toString().should.contain('0-a,Z/AZ-0')
+        p.toString().should.contain('1-b,A/ε-1')
+        var json = JSON.parse(p.toJSON())
+        json.edges.length.should.equal(5)
+        json.acceptance.should.equal(PushdownAutomaton.FINAL_STATE)
+    })
+})
+
+describe('pushdown automaton and context-free grammar', function() {
+    it('fromContextFreeGrammar', function() {
+        var g = ContextFreeGrammar.parse('S -> aSb | ab')
+        var p = PushdownAutomaton.fromContextFreeGrammar(g)
+        p.inLanguage = anbn().inLanguage
+        testLanguage(p)
+    })
+    it('fromContextFreeGrammar with left recursion', function() {
+        var p = PushdownAutomaton.fromContextFreeGrammar(ContextFreeGrammar.parse('S -> Sa | Sb | a'))
+        p.inLanguage = w => w.startsWith('a')
+        testLanguage(p)
+        p.accepts('ababab').should.be.true
+    })
+    it('toContextFreeGrammar', function() {
+        var g = anbn().toContextFreeGrammar()
+        g.getStartVariable().should.equal('S')
+        var p = PushdownAutomaton.fromContextFreeGrammar(g)
+        p.inLanguage = anbn().inLanguage
+        testLanguage(p)
+    })
+    it('toContextFreeGrammar empty stack', function() {
+        var g = evenPalindromes().toContextFreeGrammar()
+        var p = PushdownAutomaton.fromContextFreeGrammar(g)
+        p.inLanguage = evenPalindromes().inLanguage
+        testLanguage(p, 4)
+    })
+})
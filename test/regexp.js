@@ -132,3 +132,370 @@ describe('regular expression', function() {
         r.equivalent(re12).should.be.true
     })
 })
+
+describe('regular expression distinguishing word', function() {
+    it('distinguishingWord', function() {
+        var r1 = RegularExpression.parse('(a+b)*')
+        var r2 = RegularExpression.parse('b*a*')
+        r1.distinguishingWord(r2).word.should.equal('ab')
+        r1.distinguishingWord(r2).acceptedByFirst.should.be.true
+        should.not.exist(r2.distinguishingWord(RegularExpression.parse('b*a*+a')))
+    })
+})
+
+describe('regular expression extended syntax', function() {
+    var testCases = [
+        ['a?b', '(a+E)b'],
+        ['ab?', 'a(b+E)'],
+        ['a⁺', 'aa*'],
+        ['(ab)⁺', 'ab(ab)*'],
+        ['a{3}', 'aaa'],
+        ['a{0}', 'E'],
+        ['(ab){1,3}', 'ab(ab(ab+E)+E)'],
+        ['b{2,}', 'bbb*'],
+        ['[ab]*', '(a+b)*'],
+        ['[a-b]a', '(a+b)a'],
+        ['.b.', '(a+b)b(a+b)'],
+        ['a**', '(a*)*'],
+        ['0+a', '0+a']
+    ]
+    it('desugared to basic operations', function() {
+        for (let tc of testCases) {
+            RegularExpression.parse(tc[0]).toString().should.equal(tc[1])
+        }
+    })
+    it('equivalent to the basic syntax', function() {
+        RegularExpression.parse('a{2,4}').equivalent(RegularExpression.parse('aa+aaa+aaaa')).should.be.true
+        RegularExpression.parse('(a?b)⁺').equivalent(RegularExpression.parse('(ab+b)(ab+b)*')).should.be.true
+        RegularExpression.parse('.*a.{2}').equivalentAutomaton
+            .equivalent(RegularExpression.parse('(a+b)*a(a+b)(a+b)').equivalentAutomaton).should.be.true
+    })
+    it('union operator |', function() {
+        var r = RegularExpression.parse('a(b|a)+', 'ab', '|')
+        r.toString().should.equal('a(b+a)(b+a)*')
+        r.accepts('a').should.be.false
+        r.accepts('abab').should.be.true
+        RegularExpression.parse('ab | b*', 'ab', '|').equivalent(RegularExpression.parse('ab+b*')).should.be.true
+        ;(() => RegularExpression.parse('a|b')).should.throw('re: unexpected character | at position 2')
+        ;(() => RegularExpression.parse('a+b', 'ab', '-')).should.throw('re: the union operator must be + or |')
+    })
+    it('syntax errors with position', function() {
+        var errors = {
+            'a{3,1}': 're: invalid repetition {3,1} at position 6',
+            '(ab': 're: missing ) at position 4',
+            'a)': 're: unexpected character ) at position 2',
+            '[ac]': 're: unexpected character c in character class at position 3',
+            '[]': 're: empty character class at position 2',
+            'a{x}': 're: expected a number at position 3',
+            'a{2': 're: missing } at position 4',
+            'a + ': 're: expected a regular expression at position 5'
+        }
+        Object.keys(errors).forEach(text => {
+            (() => RegularExpression.parse(text)).should.throw(errors[text])
+        })
+    })
+    it('repeat, optional and plus', function() {
+        var ab = new RegularExpression('ab')
+        ab.repeat(2).toString().should.equal('abab')
+        ab.repeat(2).accepts('abab').should.be.true
+        ab.repeat(0, Infinity).toString().should.equal('(ab)*')
+        ab.optional().accepts('').should.be.true
+        ab.plus().accepts('').should.be.false
+        ;(() => ab.repeat(2, 1)).should.throw()
+    })
+    it('ranges in the order of the alphabet', function() {
+        RegularExpression.symbolRange('b', 'd', 'abcde').should.deep.equal(['b', 'c', 'd'])
+        RegularExpression.symbolRange('a', 'a').should.deep.equal(['a'])
+        should.equal(RegularExpression.symbolRange('b', 'a'), undefined)
+        should.equal(RegularExpression.symbolRange('a', 'c'), undefined)
+        RegularExpression.parse('[b-a]', 'ba').toString().should.equal('b+a')
+        ;(() => RegularExpression.parse('[a-b]', 'ba')).should.throw('re: invalid range a-b at position 3')
+        ExtRegularExpression.parse('[a-b]').toString().should.equal(RegularExpression.parse('[a-b]').toString())
+        ;(() => ExtRegularExpression.parse('[b-a]')).should.throw()
+    })
+    it('Nearley parser', function() {
+        ExtRegularExpression.parse('a?b{2}|[ab]⁺').equivalent(RegularExpression.parse('(a+E)bb+(a+b)(a+b)*')).should.be.true
+        ExtRegularExpression.parse('(ab){1,2}a*').equivalent(RegularExpression.parse('(ab+abab)a*')).should.be.true
+        for (let text of ['(a)**', 'a**', 'a*?', 'ba⁺*', 'a?{2}', '[ab]*?']) {
+            ExtRegularExpression.parse(text).toString().should.equal(RegularExpression.parse(text).toString(), text)
+        }
+    })
+})
+
+describe('regular expression intersection and complement', function() {
+    var aaNotBb = RegularExpression.parse('(a+b)*aa(a+b)*&~((a+b)*bb(a+b)*)')
+    it('accepts', function() {
+        for (let w of ['aa', 'baab', 'abaa']) {
+            aaNotBb.accepts(w).should.be.true
+        }
+        for (let w of ['', 'ab', 'aabb', 'bbaa']) {
+            aaNotBb.accepts(w).should.be.false
+        }
+        RegularExpression.parse('!(a+b)*').accepts('').should.be.false
+        RegularExpression.parse('~0').equivalentAutomaton.equivalent(Sample.allWords()).should.be.true
+    })
+    it('equivalent automaton', function() {
+        aaNotBb.equivalentAutomaton.equivalent(Sample.subword('aa').difference(Sample.subword('bb'))).should.be.true
+        new RegularExpression('ab').complement().equivalentAutomaton
+            .equivalent(Sample.onlyWord('ab').complement()).should.be.true
+    })
+    it('complement over the alphabet of parse', function() {
+        var x = RegularExpression.parse('~a', 'abc')
+        x.accepts('c').should.be.true
+        x.equivalentAutomaton.accepts('c').should.be.true
+        x.equivalentAutomaton.alphabet.symbols.should.deep.equal(['a', 'b', 'c'])
+        var y = RegularExpression.parse('E+b+(a+b)(a+b)(a+b)*', 'abc')
+        x.equivalent(y).should.be.false
+        x.distinguishingWord(y).should.deep.equal({ word: 'c', acceptedByFirst: true, acceptedBySecond: false })
+        x.equivalent(RegularExpression.parse('E+b+c+(a+b+c)(a+b+c)(a+b+c)*', 'abc')).should.be.true
+    })
+    var testCases = [
+        ['a&b+b', 'a&b+b'],
+        ['(a+b)&a', '(a+b)&a'],
+        ['(a&b)a', '(a&b)a'],
+        ['~a*', '~a*'],
+        ['!ab', '~ab'],
+        ['~(ab)b', '~(ab)b'],
+        ['~~a', '~~a'],
+        ['~a{2}', '~(aa)']
+    ]
+    it('toString and parse', function() {
+        for (let tc of testCases) {
+            var r = RegularExpression.parse(tc[0])
+            r.toString().should.equal(tc[1])
+            RegularExpression.parse(r.toString()).equivalent(r).should.be.true
+        }
+        RegularExpression.parse('~ab').equivalent(RegularExpression.parse('(~a)b')).should.be.true
+        RegularExpression.parse('~a*').equivalent(RegularExpression.parse('~(a*)')).should.be.true
+        RegularExpression.parse('a+b&a').equivalent(RegularExpression.parse('a')).should.be.true
+    })
+    it('conversion to basic operations', function() {
+        var r = ExtRegularExpression.withBasicOperations(aaNotBb)
+        aaNotBb.hasBooleanOperations().should.be.true
+        r.hasBooleanOperations().should.be.false
+        r.equivalent(aaNotBb).should.be.true
+        var ab = RegularExpression.parse('ab(a+b)*')
+        ExtRegularExpression.withBasicOperations(ab).should.equal(ab)
+        var mixed = ExtRegularExpression.withBasicOperations(RegularExpression.parse('b(~a)*'))
+        mixed.toString().should.match(/^b\(.*\)\*$/)
+        mixed.equivalent(RegularExpression.parse('b(~a)*')).should.be.true
+        ExtRegularExpression.withBasicOperations(RegularExpression.parse('a&b')).toString().should.equal('0')
+        for (let text of ['(a*&(a+b)*)*', '((a+b)*&a*)*b', '(~(a+b)*)*']) {
+            var starred = RegularExpression.parse(text)
+            var basic = ExtRegularExpression.withBasicOperations(starred)
+            basic.hasBooleanOperations().should.be.false
+            basic.equivalent(starred).should.be.true
+        }
+    })
+})
+
+describe('regular expression derivatives', function() {
+    var all = [...RegularExpression.parse('(a+b)*').acceptedWords(6)]
+    var testCases = ['(a+b)*abb', '(ab+b)*(a+E)', 'a?b{2,}', '(a*b*)*', '(a+b)*aa(a+b)*&~((a+b)*bb(a+b)*)', '0', 'E']
+    it('nullable', function() {
+        RegularExpression.parse('a*b*').nullable().should.be.true
+        RegularExpression.parse('a*b').nullable().should.be.false
+        RegularExpression.parse('~a').nullable().should.be.true
+        RegularExpression.parse('a*&b*').nullable().should.be.true
+        RegularExpression.parse('0').nullable().should.be.false
+    })
+    it('derivative', function() {
+        RegularExpression.parse('(a+b)*abb').derivative('a').toString().should.equal('(a+b)*abb+bb')
+        RegularExpression.parse('(a+b)*abb').derivative('ab').toString().should.equal('(a+b)*abb+b')
+        RegularExpression.parse('ab').derivative('b').toString().should.equal('0')
+        RegularExpression.parse('ab').derivative('').toString().should.equal('ab')
+        RegularExpression.parse('~(ab)').derivative('a').toString().should.equal('~b')
+    })
+    it('similarity normal form', function() {
+        RegularExpression.parse('b+0+a+b').similarityNormalForm().toString().should.equal('a+b')
+        RegularExpression.parse('(b+a)0b').similarityNormalForm().toString().should.equal('0')
+        RegularExpression.parse('b&(a&b)').similarityNormalForm().toString().should.equal('a&b')
+    })
+    it('accepts agrees with equivalent automaton', function() {
+        for (let s of testCases) {
+            var r = RegularExpression.parse(s)
+            for (let w of all) {
+                r.accepts(w).should.equal(r.equivalentAutomaton.accepts(w))
+            }
+        }
+    })
+    it('derivative automaton', function() {
+        for (let s of testCases) {
+            var r = RegularExpression.parse(s)
+            var a = r.derivativeAutomaton()
+            a.isDeterministic().should.be.true
+            a.equivalent(r.equivalentAutomaton).should.be.true
+        }
+        var a = RegularExpression.parse('(a+b)*abb').derivativeAutomaton()
+        ;[...a.states].map(s => s.name).should.deep.equal(['(a+b)*abb', '(a+b)*abb+bb', '(a+b)*abb+b', '(a+b)*abb+E'])
+        a.getStateByName('(a+b)*abb+E').final.should.be.true
+        a.getStateByName('(a+b)*abb+b').tag.re.derivative('b').toString().should.equal('(a+b)*abb+E')
+    })
+})
+
+describe('regular expression Thompson and Glushkov automata', function() {
+    var testCases = ['(a+b)*a', 'ab*+E', '(a*b*)*', 'a(ba)*b', '0', 'E']
+    it('Thompson automaton', function() {
+        for (let s of testCases) {
+            var r = RegularExpression.parse(s)
+            var a = r.thompsonAutomaton()
+            a.equivalent(r.equivalentAutomaton).should.be.true
+            a.getStartStates().size.should.equal(1)
+            a.getFinalStates().size.should.equal(1)
+            a.getStateByName('q0').start.should.be.true
+        }
+        var a = RegularExpression.parse('a+b').thompsonAutomaton()
+        ;[...a.states].map(s => s.name).should.deep.equal(['q0', 'q1', 'q2', 'q3', 'q4', 'q5'])
+        a.hasEpsilonTransitions().should.be.true
+        a.edges.size.should.equal(6)
+        RegularExpression.parse('ab').thompsonAutomaton().hasEpsilonTransitions().should.be.false
+    })
+    it('position sets', function() {
+        var p = RegularExpression.parse('(a+b)*ab').positionSets()
+        p.positions.should.deep.equal(['a1', 'b2', 'a3', 'b4'])
+        ;[...p.first].should.have.members(['a1', 'b2', 'a3'])
+        ;[...p.last].should.deep.equal(['b4'])
+        ;[...p.follow.get('a1')].should.have.members(['a1', 'b2', 'a3'])
+        ;[...p.follow.get('a3')].should.deep.equal(['b4'])
+        p.follow.get('b4').size.should.equal(0)
+        p.nullable.should.be.false
+        RegularExpression.parse('a*').positionSets().nullable.should.be.true
+    })
+    it('Glushkov automaton', function() {
+        for (let s of testCases) {
+            var r = RegularExpression.parse(s)
+            var a = r.glushkovAutomaton()
+            a.equivalent(r.equivalentAutomaton).should.be.true
+            a.hasEpsilonTransitions().should.be.false
+            a.states.size.should.equal(r.positionSets().positions.length + 1)
+        }
+        var a = RegularExpression.parse('(a+b)*a').glushkovAutomaton()
+        ;[...a.states].map(s => s.name).should.deep.equal(['0', 'a1', 'b2', 'a3'])
+        a.getStateByName('a3').final.should.be.true
+    })
+    it('convertTikz', function() {
+        var tikz = RegularExpression.parse('(a+b)*a').glushkovAutomaton().convertTikz()
+        tikz.filter(line => line.startsWith('\\node')).length.should.equal(4)
+        tikz.filter(line => line.startsWith('\\draw')).length.should.equal(9)
+        tikz.should.include('\\node[state,accepting] (2) at (4, 0) {$a3$};')
+        tikz = RegularExpression.parse('0').thompsonAutomaton().convertTikz()
+        tikz.filter(line => line.startsWith('\\node')).length.should.equal(2)
+    })
+    it('intersection and complement are not supported', function() {
+        var r = RegularExpression.parse('a&b')
+        ;(() => r.thompsonAutomaton()).should.throw()
+        ;(() => r.glushkovAutomaton()).should.throw()
+    })
+})
+
+describe('regular expression simplification', function() {
+    var testCases = [
+        ['0a+Eb', 'b'],
+        ['a+a', 'a'],
+        ['E+a*', 'a*'],
+        ['b+a*+b*', 'a*+b*'],
+        ['E+aa*', 'a*'],
+        ['E+b*b', 'b*'],
+        ['(a*)*', 'a*'],
+        ['(E+a)*', 'a*'],
+        ['(a*+b)*', '(a+b)*'],
+        ['(a*b*)*', '(a+b)*'],
+        ['a*a*b', 'a*b'],
+        ['0*+a', 'E+a'],
+        ['abab+abba+b', 'ab(ab+ba)+b'],
+        ['ab+a', 'ab+a'],
+        ['(a+b)(a+b)+(a+b)(a+b)(a+b)', '(a+b)(a+b)(E+a+b)'],
+        ['~~a', 'a'],
+        ['a&a&0', '0'],
+        ['b&a&b', 'a&b']
+    ]
+    it('rewrite rules', function() {
+        for (let tc of testCases) {
+            RegularExpression.parse(tc[0]).simplify(true).toString().should.equal(tc[1])
+        }
+    })
+    it('not longer', function() {
+        var gen = RegularExpression.generate(3)
+        var r
+        while ((r = gen.next().value) !== undefined) {
+            r.simplify().toString().length.should.be.at.most(r.toString().length)
+        }
+    })
+    it('equivalent', function() {
+        var gen = RegularExpression.generate(2)
+        var r
+        while ((r = gen.next().value) !== undefined) {
+            should.equal(r.simplify().distinguishingWord(r), undefined, r.toString())
+        }
+    })
+    it('complement of a regular expression', function() {
+        var c = ExtRegularExpression.complement(RegularExpression.parse('(a+b)(a+b)+(a+b)(a+b)(a+b)'))
+        c.simplify(true).toString().length.should.be.at.most(c.toString().length)
+        ExtRegularExpression.fromAutomaton(Sample.lengthRange(2, 3)).simplify(true).toString()
+            .should.equal('(a+b)(a+b)(E+a+b)')
+    })
+})
+
+describe('regular expression and JavaScript RegExp', function() {
+    var words = [...RegularExpression.parse('(a+b)*').acceptedWords(5)]
+    it('toJSRegExp', function() {
+        RegularExpression.parse('(a+b)*abb').toJSRegExp().source.should.equal('^(?:a|b)*abb$')
+        RegularExpression.parse('a+E').toJSRegExp().source.should.equal('^(?:a|(?:))$')
+        RegularExpression.parse('(ab)*b*').toJSRegExp().source.should.equal('^(?:ab)*b*$')
+        RegularExpression.parse('0').toJSRegExp().test('').should.be.false
+        RegularExpression.parse('E').toJSRegExp().test('').should.be.true
+        ;(() => RegularExpression.parse('a&b').toJSRegExp()).should.throw()
+    })
+    it('fromJSRegExp', function() {
+        var testCases = [
+            [/^(?:a|b)*abb$/, '(a+b)*abb'],
+            [/^a+b?$/, 'aa*(b+E)'],
+            [/^(a|)b{2,3}$/, '(a+E)bb(b+E)'],
+            [/^[^a]*$/, 'b*'],
+            [/^[a-z]{2}$/, '(a+b)(a+b)'],
+            [/^a*?b$/, 'a*b'],
+            [/^$/, 'E'],
+            [/^[c]$/, '0'],
+            [/ab/, '(a+b)*ab(a+b)*'],
+            [/^a|b$/, 'a(a+b)*+(a+b)*b']
+        ]
+        for (let tc of testCases) {
+            RegularExpression.fromJSRegExp(tc[0]).toString().should.equal(tc[1])
+        }
+    })
+    it('unsupported syntax', function() {
+        var errors = [
+            [/^(?=a)b$/, 'fromJSRegExp: only groups (...) and (?:...) are supported at position 2'],
+            [/a|\d/, 'fromJSRegExp: unsupported escape \\d at position 3'],
+            [/^ac$/, 'fromJSRegExp: c is not an alphabet symbol at position 3'],
+            [/a^b/, 'fromJSRegExp: ^ is only supported at the beginning at position 2'],
+            [/^a$/i, 'fromJSRegExp: the flags i are not supported']
+        ]
+        for (let e of errors) {
+            (() => RegularExpression.fromJSRegExp(e[0])).should.throw(e[1])
+        }
+    })
+    it('agrees with the JavaScript matcher', function() {
+        var gen = RegularExpression.generate(2)
+        var r
+        var expressions = []
+        while ((r = gen.next().value) !== undefined) {
+            expressions.push(r)
+        }
+        expressions.push(RegularExpression.parse('(ab+b)*(a+E)'), RegularExpression.parse('((a+E)b)*0+a*b*'))
+        for (r of expressions) {
+            var js = r.toJSRegExp()
+            for (let w of words) {
+                js.test(w).should.equal(r.accepts(w))
+            }
+            RegularExpression.fromJSRegExp(js).equivalent(r).should.be.true
+        }
+        for (let source of ['a(b|a)+', 'b{2,}|a?', '[ab]b*a', '(?:ab|b)*']) {
+            var fromJS = RegularExpression.fromJSRegExp('^(?:' + source + ')$')
+            var js = new RegExp('^(?:' + source + ')$')
+            for (let w of words) {
+                fromJS.accepts(w).should.equal(js.test(w))
+            }
+        }
+    })
+})
@@ -0,0 +1,117 @@
+var should = require('chai').should()
+var TuringMachine = require('../turing-machine')
+var Alphabet = require('../alphabet')
+
+// a^n b^n with n >= 1
+function anbn() {
+    var m = new TuringMachine('anbn', 'ab', 'XY')
+    m.addState('0', true)
+    m.addState('1')
+    m.addState('2')
+    m.addState('3')
+    m.addState('f', false, true)
+    m.addEdge('0', '1', 'a', 'X', 'R')
+    m.addEdge('0', '3', 'Y', 'Y', 'R')
+    m.addEdge('1', '1', 'a', 'a', 'R')
+    m.addEdge('1', '1', 'Y', 'Y', 'R')
+    m.addEdge('1', '2', 'b', 'Y', 'L')
+    m.addEdge('2', '2', 'a', 'a', 'L')
+    m.addEdge('2', '2', 'Y', 'Y', 'L')
+    m.addEdge('2', '0', 'X', 'X', 'R')
+    m.addEdge('3', '3', 'Y', 'Y', 'R')
+    m.addEdge('3', 'f', '_', '_', 'N')
+    m.inLanguage = function (w) {
+        var n = w.length / 2
+        return n >= 1 && w === 'a'.repeat(n) + 'b'.repeat(n)
+    }
+    return m
+}
+
+// palindromes with two tapes: copy the input and compare it with the reversed copy
+function palindromes() {
+    var m = new TuringMachine('palindromes', 'ab', '', '_', 2)
+    m.addState('copy', true)
+    m.addState('back')
+    m.addState('compare')
+    m.addState('f', false, true)
+    for (let x of 'ab') {
+        m.addEdge('copy', 'copy', x + '_', x + x, 'RR')
+        for (let y of 'ab') {
+            m.addEdge('back', 'back', x + y, x + y, 'LN')
+        }
+        m.addEdge('back', 'compare', '_' + x, '_' + x, 'RN')
+        m.addEdge('compare', 'compare', x + x, x + x, 'RL')
+    }
+    m.addEdge('copy', 'back', '__', '__', 'LL')
+    m.addEdge('back', 'f', '__', '__', 'NN')
+    m.addEdge('compare', 'f', '__', '__', 'NN')
+    m.inLanguage = function (w) {
+        return w === [...w].reverse().join('')
+    }
+    return m
+}
+
+function testLanguage(m, maxLength = 6) {
+    var words = new Alphabet('ab').genAllWords()
+    var w
+    while ((w = words.next().value).length <= maxLength) {
+        m.accepts(w).should.equal(m.inLanguage(w), w)
+    }
+}
+
+describe('Turing machine', function() {
+    it('single tape', function() {
+        testLanguage(anbn())
+    })
+    it('two tapes', function() {
+        testLanguage(palindromes())
+    })
+    it('configurations', function() {
+        var r = anbn().run('ab')
+        r.halted.should.be.true
+        r.accepted.should.be.true
+        r.steps.should.equal(r.configurations.length - 1)
+        var c = r.configurations.map(TuringMachine.configurationToString)
+        c[0].should.equal('0: [a]b')
+        c[1].should.equal('1: X[b]')
+        c[2].should.equal('2: [X]Y')
+        c[c.length - 1].should.equal('f: XY[_]')
+        TuringMachine.configurationToString(palindromes().run('ab').configurations[1])
+            .should.equal('copy: a[b] | a[_]')
+    })
+    it('step limit', function() {
+        var m = new TuringMachine('loop', 'a')
+        m.addState('0', true)
+        m.addEdge('0', '0', 'a', 'a', 'R')
+        m.addEdge('0', '0', '_', '_', 'R')
+        var r = m.run('a', 50)
+        r.halted.should.be.false
+        r.accepted.should.be.false
+        r.configurations.length.should.equal(51)
+    })
+    it('blank symbol', function() {
+        var m = new TuringMachine('blank', 'a', '', '#')
+        m.addState('0', true)
+        m.addState('1', false, true)
+        m.addEdge('0', '1', '#', '#', 'N')
+        m.accepts('').should.be.true
+        m.accepts('a').should.be.false
+    })
+    it('deterministic', function() {
+        var m = anbn()
+        ;(() => m.addEdge('0', '2', 'a', 'a', 'R')).should.throw()
+        ;(() => m.addEdge('0', '2', 'c', 'a', 'R')).should.throw()
+    })
+    it('toString, toJSON and convertTikz', function() {
+        var m = anbn()
+        m.toString().should.contain('1-b/Y,L-2')
+        var json = JSON.parse(m.toJSON())
+        json.edges.length.should.equal(10)
+        json.blank.should.equal('_')
+        var tikz = m.convertTikz()
+        tikz[0].should.contain('\\begin{tikzpicture}')
+        tikz.should.include('\\path (3) edge node[align=center] {$\\sqcup/\\sqcup,N$} (4);')
+        tikz.should.include('\\path (1) edge node[align=center] {$b/Y,L$} (2);')
+        tikz.should.include('\\path (2) edge [loop above] node[align=center] {$a/a,L$\\\\$Y/Y,L$} (2);')
+    })
+})
@@ -0,0 +1,42 @@
+const Edge = require('./edge')
+
+/**
+ * Class representing a transition of a (multi-tape) Turing machine. For each tape
+ * the transition reads a symbol, writes a symbol and moves the head.
+ * @extends Edge
+ */
+class TuringEdge extends Edge {
+  /**
+     * create a transition of a Turing machine.
+     * @param {State} from - source state
+     * @param {State} to - target state
+     * @param {Array} read - the symbols read, one per tape
+     * @param {Array} write - the symbols written, one per tape
+     * @param {Array} move - the moves of the heads (L, R or N), one per tape
+     * @returns {TuringEdge} new edge
+     */
+  constructor (from, to, read, write, move) {
+    super(from, to, read.join(''))
+    this.read = read
+    this.write = write
+    this.move = move
+  }
+
+  /**
+     * the label of the edge in the form read/write,move
+     * @returns {string} the label of the edge
+     */
+  get label () {
+    return this.read.join('') + '/' + this.write.join('') + ',' + this.move.join('')
+  }
+
+  /**
+     * name getter
+     * @returns {string} name of the edge
+     */
+  get name () {
+    return this.source.name + '-' + this.label + '-' + this.sink.name
+  }
+}
+
+module.exports = TuringEdge
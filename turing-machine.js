@@ -0,0 +1,420 @@
+require('./extendSet')
+const State = require('./state')
+const TuringEdge = require('./turing-edge')
+const Alphabet = require('./alphabet')
+const Vector = require('./vector')
+
+const BLANK = '_'
+const MOVES = 'LRN'
+const MAX_STEPS = 10000
+
+/** Class representing a deterministic (multi-tape) Turing machine. */
+class TuringMachine {
+  /**
+     * Create a Turing machine.
+     * @param {string} [name] - the name of the Turing machine.
+     * @param {string} [symbols] - the symbols of the input alphabet.
+     * @param {string} [tapeSymbols] - additional symbols of the tape alphabet. The input
+     * symbols and the blank symbol are always tape symbols.
+     * @param {string} [blank] - the blank symbol
+     * @param {number} [tapes] - the number of tapes
+     * @returns {TuringMachine} new Turing machine
+     */
+
+  constructor (name = 'M', symbols = 'ab', tapeSymbols = '', blank = BLANK, tapes = 1) {
+    const m = this
+    m.name = name
+    m.states = new Set()
+    m.stateNameMap = new Map()
+    m.alphabet = new Alphabet(symbols)
+    m.tapeAlphabet = new Alphabet(new Set([...symbols, ...tapeSymbols, blank]))
+    m.blank = blank
+    m.tapes = tapes
+    m.edges = new Set()
+    m.transitionMap = new Map()
+  }
+
+  /**
+     * get a state.
+     * @param {string} name - the name of a state.
+     * @returns {State} the state with the given name or undefined when
+     * there is no state with the given name
+     */
+
+  getStateByName (name) {
+    return this.stateNameMap.get(name)
+  }
+
+  /**
+     * get a state
+     * @param {State|string} s - the name of the state or the state object
+     * @returns {State} the corrsponding state or undefined
+     */
+
+  getState (s) {
+    if (typeof s === 'string') {
+      return this.stateNameMap.get(s)
+    } else if (s instanceof State) {
+      return s
+    } else {
+      return undefined
+    }
+  }
+
+  /**
+     * add a state.
+     * @param {string} name - the name of the state.
+     * @param {boolean} [start] - true for a start state.
+     * @param {boolean} [final] - true for an accepting state.
+     * @param {object} [tag] - any additional information the state object should carry
+     * @param {boolean} [forceNew] - adds the state with the given name even when a state with the same name already exists.
+     * @returns {State} the new state or when forceNew is false and a state with
+     * the given name already exists the existing state
+     */
+
+  addState (name, start = false, final = false, tag = {}, forceNew = false) {
+    const m = this
+    if (forceNew) {
+      while (m.getStateByName(name) !== undefined) {
+        name += 'x'
+      }
+    }
+    let s = m.getStateByName(name)
+    if (s !== undefined) {
+      return s
+    }
+    s = new State(name, start, final, tag)
+    s.automaton = m
+    m.states.add(s)
+    m.stateNameMap.set(name, s)
+    m.transitionMap.set(s, new Map())
+    return s
+  }
+
+  /**
+     * get all start states
+     * @returns {Set} a set of start states
+     */
+
+  getStartStates () {
+    return new Set([...this.states].filter(s => s.start))
+  }
+
+  /**
+     * get all final states
+     * @returns {Set} a set of final states
+     */
+
+  getFinalStates () {
+    return new Set([...this.states].filter(s => s.final))
+  }
+
+  /**
+     * get the transition for a state and the symbols under the heads
+     * @param {State|string} state - a state
+     * @param {string|Array} read - the symbols under the heads, one per tape
+     * @returns {TuringEdge} the transition or undefined if there is none
+     */
+
+  getTransition (state, read) {
+    return this.transitionMap.get(this.getState(state)).get([...read].join(''))
+  }
+
+  /**
+     * add a transition. For a single tape read, write and move are single characters,
+     * e.g. addEdge('0', '1', 'a', 'X', 'R'). For k tapes they are strings or arrays of length k.
+     * @param {State|string} from - the state where the edge starts
+     * @param {State|string} to - the state where the edge ends
+     * @param {string|Array} read - the symbols read
+     * @param {string|Array} write - the symbols written
+     * @param {string|Array} move - the moves of the heads: L (left), R (right) or N (no move)
+     * @returns {TuringEdge} the new transition. Throws an error if there is already
+     * a different transition for the state and the read symbols.
+     */
+
+  addEdge (from, to, read, write, move) {
+    const m = this
+    from = m.getState(from)
+    to = m.getState(to)
+    read = [...read]
+    write = [...write]
+    move = [...move]
+    if (read.length !== m.tapes || write.length !== m.tapes || move.length !== m.tapes) {
+      throw new Error(`addEdge: read, write and move need ${m.tapes} entries`)
+    }
+    for (const x of read.concat(write)) {
+      if (!m.tapeAlphabet.symbols.includes(x)) {
+        throw new Error(`addEdge: ${x} is not a tape symbol`)
+      }
+    }
+    if (move.some(d => !MOVES.includes(d))) {
+      throw new Error(`addEdge: moves must be one of ${MOVES}`)
+    }
+    const existing = m.getTransition(from, read)
+    if (existing !== undefined) {
+      if (existing.sink === to && existing.write.join('') === write.join('') &&
+        existing.move.join('') === move.join('')) {
+        return existing
+      }
+      throw new Error(`addEdge: transition for ${from.name} and ${read.join('')} already defined`)
+    }
+    const e = new TuringEdge(from, to, read, write, move)
+    m.edges.add(e)
+    m.transitionMap.get(from).set(read.join(''), e)
+    e.source.addEdgeOut(e)
+    e.sink.addEdgeIn(e)
+    return e
+  }
+
+  /**
+     * delete a transition
+     * @param {TuringEdge} e - an existing transition
+     */
+
+  deleteEdge (e) {
+    const m = this
+    m.edges.delete(e)
+    m.transitionMap.get(e.source).delete(e.read.join(''))
+    e.source.edgesOut.delete(e)
+    e.sink.edgesIn.delete(e)
+  }
+
+  /**
+     * run the Turing machine on a word. The input is written on the first tape,
+     * all other tapes are blank and all heads start at the first cell. The machine halts
+     * when there is no transition for the current state and the symbols under the heads.
+     * @param {string} word - an input word
+     * @param {number} [maxSteps] - the maximal number of steps before the run is stopped
+     * @returns {Object} { configurations, steps, halted, accepted }. configurations is the
+     * list of all configurations of the run (see {@link TuringMachine#configuration}).
+     * halted is false if the run was stopped after maxSteps steps. accepted is
+     * true if the machine halted in a final state.
+     */
+
+  run (word, maxSteps = MAX_STEPS) {
+    const m = this
+    const startStates = [...m.getStartStates()]
+    if (startStates.length !== 1) {
+      throw new Error('run: there must be exactly one start state')
+    }
+    for (const c of word) {
+      if (!m.alphabet.symbols.includes(c)) {
+        throw new Error(`run: ${c} is not an input symbol`)
+      }
+    }
+    const tapes = []
+    for (let i = 0; i < m.tapes; i++) {
+      tapes.push({ cells: i === 0 && word.length > 0 ? [...word] : [m.blank], head: 0 })
+    }
+
+    let state = startStates[0]
+    const configurations = [m.configuration(state, tapes)]
+    let steps = 0
+    while (true) {
+      const e = m.getTransition(state, tapes.map(t => t.cells[t.head]))
+      if (e === undefined) {
+        return { configurations, steps, halted: true, accepted: state.final }
+      }
+      if (steps >= maxSteps) {
+        return { configurations, steps, halted: false, accepted: false }
+      }
+      tapes.forEach((t, i) => {
+        t.cells[t.head] = e.write[i]
+        if (e.move[i] === 'R') {
+          t.head++
+          if (t.head === t.cells.length) {
+            t.cells.push(m.blank)
+          }
+        } else if (e.move[i] === 'L') {
+          if (t.head === 0) {
+            t.cells.unshift(m.blank)
+          } else {
+            t.head--
+          }
+        }
+      })
+      state = e.sink
+      steps++
+      configurations.push(m.configuration(state, tapes))
+    }
+  }
+
+  /**
+     * determines whether a word is accepted or not (see {@link TuringMachine#run})
+     * @param {string} word - an input word
+     * @param {number} [maxSteps] - the maximal number of steps
+     * @returns {boolean} true when the machine halts in a final state within maxSteps steps,
+     * false otherwise
+     */
+
+  accepts (word, maxSteps = MAX_STEPS) {
+    return this.run(word, maxSteps).accepted
+  }
+
+  /**
+     * create a configuration object. Blanks at both ends of the tapes are removed
+     * unless the head is on them.
+     * @param {State} state - the current state
+     * @param {Array} tapes - the tapes as objects { cells, head }
+     * @returns {Object} a configuration { state, tapes } with the name of the state and
+     * for each tape an object { content, head } where head is the position of
+     * the head in the string content.
+     */
+
+  configuration (state, tapes) {
+    const m = this
+    return {
+      state: state.name,
+      tapes: tapes.map(t => {
+        let first = 0
+        while (first < t.head && t.cells[first] === m.blank) {
+          first++
+        }
+        let last = t.cells.length - 1
+        while (last > t.head && t.cells[last] === m.blank) {
+          last--
+        }
+        return { content: t.cells.slice(first, last + 1).join(''), head: t.head - first }
+      })
+    }
+  }
+
+  /**
+     * convert a configuration to a string. The symbol under the head is put in brackets.
+     * @param {Object} c - a configuration as returned by {@link TuringMachine#configuration}
+     * @returns {string} the configuration, e.g. q: aX[b]b | [_]
+     */
+
+  static configurationToString (c) {
+    return c.state + ': ' + c.tapes.map(t => {
+      return t.content.slice(0, t.head) + '[' + t.content[t.head] + ']' + t.content.slice(t.head + 1)
+    }).join(' | ')
+  }
+
+  /**
+     * convert the Turing machine to a string
+     * @return {string} a string representing the Turing machine
+     */
+
+  toString () {
+    const m = this
+    let s = ''
+    const nl = '\n'
+    s += m.name + nl
+    s += 'symbols: ' + m.alphabet.symbols.join(',') + nl
+    s += 'tape symbols: ' + m.tapeAlphabet.symbols.join(',') + nl
+    s += 'blank: ' + m.blank + nl
+    s += 'tapes: ' + m.tapes + nl
+
+    s += 'states: ' + [...m.states].map(s => s.toString()).join(nl) + nl
+    s += 'edges:' + nl + [...m.edges].map(e => e.name).join(nl) + nl
+
+    return s
+  }
+
+  /**
+     * convert Turing machine to JSON format
+     * @returns {string} a JSON representation of the Turing machine.
+     */
+
+  toJSON () {
+    const m = this
+    const header =
+            `"tapeSymbols": "${m.tapeAlphabet.symbols.join('')}", ` +
+            `"blank": "${m.blank}", "tapes": ${m.tapes}`
+    const states =
+            '"states": [' +
+            [...m.states]
+              .map(s => {
+                return (
+                  `{"name": "${s.name}"` +
+                        (s.start ? ', "start": "true"' : '') +
+                        (s.final ? ', "final": "true"' : '') +
+                        '}'
+                )
+              })
+              .join(',\n') +
+            ']'
+    const edges =
+            '"edges": [' +
+            [...m.edges]
+              .map(
+                e =>
+                  `{"from": "${e.source.name}", "to": "${e.sink.name}", "read": "${e.read.join('')}", ` +
+                        `"write": "${e.write.join('')}", "move": "${e.move.join('')}" }`
+              )
+              .join(',\n') +
+            ']'
+    return `{ ${header},\n ${states},\n ${edges}\n }`
+  }
+
+  /**
+     * convert Turing machine to Tikz format. If every state has a position
+     * (see {@link Automaton#convertTikz}) it is used, otherwise the states are placed
+     * in a row. Parallel transitions are combined into one edge with several labels.
+     * The blank symbol is shown as \sqcup.
+     * @returns {Array} the lines of a Tikz representation of the Turing machine.
+     */
+
+  convertTikz () {
+    const m = this
+    const out = []
+    const scale = 1 / 50
+    const states = [...m.states]
+
+    if (states.every(s => s.position !== undefined)) {
+      const maxY = Math.max.apply(Math, states.map(s => s.position.y))
+      states.forEach(s => { s.pos = s.position.transform(scale, maxY) })
+    } else {
+      states.forEach((s, i) => { s.pos = new Vector(3 * i, 0) })
+    }
+    states.forEach((s, i) => { s.number = i })
+
+    const symbol = x => x === m.blank ? '\\sqcup' : x.replace(/[#$%&_{}]/g, '\\$&')
+    const label = e => e.read.map(symbol).join('') + '/' + e.write.map(symbol).join('') + ',' + e.move.join('')
+
+    out.push(
+      "\\begin{tikzpicture}[->,>=stealth',initial text={},shorten >=1pt,auto,node distance=2.5cm, semithick,auto]"
+    )
+    out.push('\\tikzstyle{every state}=[fill=white,draw=black,text=black]')
+
+    for (const state of states) {
+      let s = '\\node[state'
+      if (state.start) {
+        s += ',initial'
+      }
+      if (state.final) {
+        s += ',accepting'
+      }
+      s += '] ('
+      s += state.number + ') at ' + state.pos.toString() + ' {$' + state.name + '$};'
+      out.push(s)
+    }
+
+    const grouped = new Map()
+    m.edges.forEach(e => {
+      const key = e.source.number + ' ' + e.sink.number
+      if (!grouped.has(key)) {
+        grouped.set(key, [])
+      }
+      grouped.get(key).push(e)
+    })
+    grouped.forEach(edges => {
+      const from = edges[0].source
+      const to = edges[0].sink
+      let style = ''
+      if (from === to) {
+        style = ' [loop above]'
+      } else if (grouped.has(to.number + ' ' + from.number)) {
+        style = ' [bend left]'
+      }
+      const labels = edges.map(e => '$' + label(e) + '$').join('\\\\')
+      out.push(`\\path (${from.number}) edge${style} node[align=center] {${labels}} (${to.number});`)
+    })
+
+    out.push('\\end{tikzpicture}')
+    return out
+  }
+}
+
+module.exports = TuringMachine